@@ -1,14 +1,15 @@
 // game.js - Game logic and events
 
 import * as THREE from 'three';
+import { boardToScene } from './map.js';
 
 /**
- * Game class to handle game state, logic, and events
+ * Game class to render the server-driven game state, events and loot
  */
 export class Game {
-  constructor() {
+  constructor(players = new Map()) {
     // Game state
-    this.players = new Map();
+    this.players = players;
     this.lootItems = new Map();
     this.entities = new Map();
     
@@ -25,77 +26,100 @@ export class Game {
       eventInterval: 180,  // 3 minutes between events
       lootInterval: 120,   // 2 minutes between loot drops
       gameLength: 900,     // 15 minute game
-      lateGameTime: 480    // 8 minutes until late game surge
+      lateGameTime: 480,   // 8 minutes until late game surge
+      moveCooldown: 0.5,   // seconds between moves
+      classicCapture: false, // moving onto an enemy's square captures it
+      captureDamage: 0     // damage a classic capture deals (0 defeats outright)
     };
   }
   
   /**
-   * Update game state
+   * Update game timers between server messages
    * @param {number} delta - Time delta since last update
    */
   update(delta) {
-    // Update game time
     this.time += delta;
     this.eventTimer += delta;
     this.lootTimer += delta;
+  }
+  
+  /**
+   * Load the world state sent by the server when joining a match
+   * @param {Object} state - Game state from the server
+   */
+  syncState(state) {
+    this.time = state.time || 0;
+    this.eventTimer = state.eventTimer || 0;
+    this.lootTimer = state.lootTimer || 0;
     
-    // Check if it's time for a random event
-    if (this.eventTimer >= this.settings.eventInterval) {
-      this.triggerEvent();
-      this.eventTimer = 0;
+    if (state.settings) {
+      this.applySettings(state.settings);
     }
     
-    // Check if it's time for a loot drop
-    if (this.lootTimer >= this.settings.lootInterval) {
-      this.spawnLoot();
-      this.lootTimer = 0;
+    (state.loot || []).forEach(loot => this.handleLootSpawn(loot));
+    (state.entities || []).forEach(entity => this.handleEntityUpdate(entity));
+  }
+  
+  /**
+   * Take the match's timing and capture settings from the server
+   * @param {Object} settings - Effective match settings
+   */
+  applySettings(settings) {
+    ['eventInterval', 'lootInterval', 'gameLength', 'lateGameTime', 'moveCooldown', 'captureDamage'].forEach(name => {
+      if (typeof settings[name] === 'number') {
+        this.settings[name] = settings[name];
+      }
+    });
+    
+    if (typeof settings.classicCapture === 'boolean') {
+      this.settings.classicCapture = settings.classicCapture;
     }
+  }
+  
+  /**
+   * Clear loot, entities and timers when a new match starts
+   */
+  reset() {
+    this.lootItems.forEach((loot, id) => this.removeLootMesh(id));
+    this.entities.forEach((entity, id) => this.removeEntityMesh(id));
+    this.lootItems.clear();
+    this.entities.clear();
     
-    // Update all entities
-    this.updateEntities(delta);
+    this.time = 0;
+    this.eventTimer = 0;
+    this.lootTimer = 0;
   }
   
   /**
-   * Trigger a random game event
+   * Handle an event started by the server
+   * @param {Object} eventData - Event data from the server
    */
-  triggerEvent() {
-    // Event selection logic
-    const events = [
-      this.eventPetalRain.bind(this),    // Extra loot drops
-      this.eventKingsCall.bind(this),    // Kings gain HP
-      this.eventWildSprout.bind(this)    // Spawn a neutral entity
-    ];
-    
-    // Check if we're in late game
-    if (this.time > this.settings.lateGameTime) {
-      // Trigger late game surge
-      this.eventLateGameSurge();
-    } else {
-      // Pick a random event
-      const randomEvent = events[Math.floor(Math.random() * events.length)];
-      randomEvent();
-    }
+  handleEventStart(eventData) {
+    this.eventTimer = 0;
     
-    // Broadcast the event to all players if using network
-    if (typeof socket !== 'undefined') {
-      socket.emit('gameEvent', {
-        time: this.time,
-        eventType: randomEvent.name
-      });
+    switch (eventData.eventType) {
+      case 'petalRain':
+        this.eventPetalRain();
+        break;
+      case 'kingsCall':
+        this.eventKingsCall(eventData.kings || []);
+        break;
+      case 'wildSprout':
+        // The Vine Beast itself arrives through entityUpdate
+        console.log('Event: Wild Sprout - A Vine Beast has spawned!');
+        break;
+      case 'lateGameSurge':
+        this.eventLateGameSurge();
+        break;
     }
   }
   
   /**
-   * Event: Petal Rain - Spawn extra loot
+   * Event: Petal Rain - Extra loot is spawned by the server
    */
   eventPetalRain() {
     console.log('Event: Petal Rain - Extra loot spawned!');
     
-    // Spawn 3 loot items
-    for (let i = 0; i < 3; i++) {
-      this.spawnLoot(true); // true = event loot (might have better items)
-    }
-    
     // Create visual effect
     if (typeof scene !== 'undefined') {
       // Create falling petals effect
@@ -107,48 +131,14 @@ export class Game {
   
   /**
    * Event: King's Call - Kings gain HP
+   * @param {Array} kings - Kings healed by the server
    */
-  eventKingsCall() {
+  eventKingsCall(kings) {
     console.log('Event: King\'s Call - Kings gain +5 HP!');
     
-    // Heal all kings
-    this.players.forEach(p => {
-      if (p.type === 'king') {
-        p.hp = Math.min(p.hp + 5, 20);
-      }
-    });
-    
     // Create visual effect if we have scene access
     if (typeof scene !== 'undefined') {
-      this.createKingsCallEffect();
-    }
-  }
-  
-  /**
-   * Event: Wild Sprout - Spawn a neutral entity
-   */
-  eventWildSprout() {
-    console.log('Event: Wild Sprout - A Vine Beast has spawned!');
-    
-    // Create a neutral "Vine Beast" entity
-    const position = {
-      x: Math.floor(Math.random() * 8),
-      z: Math.floor(Math.random() * 8)
-    };
-    
-    const vineId = `vine_${Date.now()}`;
-    this.entities.set(vineId, {
-      id: vineId,
-      type: 'vineBeast',
-      position: position,
-      hp: 10,
-      isNeutral: true,
-      lastMoveTime: this.time
-    });
-    
-    // Create visual representation if we have scene access
-    if (typeof scene !== 'undefined') {
-      this.createVineBeastMesh(vineId, position);
+      this.createKingsCallEffect(kings);
     }
   }
   
@@ -172,256 +162,61 @@ export class Game {
   }
   
   /**
-   * Spawn a loot item on the board
-   * @param {boolean} isEventLoot - Whether this is from an event (better items)
+   * Handle a loot item spawned by the server
+   * @param {Object} loot - Loot data {id, type, position}
    */
-  spawnLoot(isEventLoot = false) {
-    // Find a random empty position on the board
-    const position = this.findEmptyPosition();
-    if (!position) return; // Board is full
-    
-    // Choose a random loot type
-    const lootTypes = [
-      'doubleMove',  // Two moves in one turn
-      'petalShield', // Blocks one capture
-      'vineTrap'     // Immobilizes an enemy
-    ];
-    
-    const lootType = lootTypes[Math.floor(Math.random() * lootTypes.length)];
-    
-    // Create loot item
-    const lootId = `loot_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-    this.lootItems.set(lootId, {
-      id: lootId,
-      type: lootType,
-      position: position,
-      duration: lootType === 'petalShield' ? 10 : 5, // Duration in seconds
-      isEventLoot: isEventLoot
-    });
+  handleLootSpawn(loot) {
+    if (this.lootItems.has(loot.id)) return;
+    
+    this.lootItems.set(loot.id, loot);
+    this.lootTimer = 0;
     
     // Create visual representation if we have scene access
     if (typeof scene !== 'undefined') {
-      this.createLootMesh(lootId, lootType, position);
-    }
-    
-    console.log(`Spawned ${lootType} loot at (${position.x}, ${position.z})`);
-    
-    // Broadcast to all players if using network
-    if (typeof socket !== 'undefined') {
-      socket.emit('lootSpawn', {
-        id: lootId,
-        type: lootType,
-        position: position
-      });
+      this.createLootMesh(loot.id, loot.type, loot.position);
     }
   }
   
   /**
-   * Find an empty position on the board
-   * @returns {Object|null} - Empty position {x, z} or null if none found
+   * Handle a loot item collected on the server
+   * @param {Object} data - Collection data {playerId, lootId, lootType}
    */
-  findEmptyPosition() {
-    // Try up to 20 random positions
-    for (let i = 0; i < 20; i++) {
-      const position = {
-        x: Math.floor(Math.random() * 8),
-        z: Math.floor(Math.random() * 8)
-      };
-      
-      // Check if position is empty
-      if (this.isPositionEmpty(position)) {
-        return position;
-      }
-    }
+  handleLootCollect(data) {
+    console.log(`Player ${data.playerId} collected ${data.lootType} loot`);
     
-    // If we couldn't find a random empty spot, check all positions systematically
-    for (let x = 0; x < 8; x++) {
-      for (let z = 0; z < 8; z++) {
-        const position = { x, z };
-        if (this.isPositionEmpty(position)) {
-          return position;
-        }
-      }
-    }
-    
-    return null; // Board is completely full
-  }
-  
-  /**
-   * Check if a position is empty (no players, entities, or loot)
-   * @param {Object} position - Position to check {x, z}
-   * @returns {boolean} - Whether the position is empty
-   */
-  isPositionEmpty(position) {
-    // Check for players
-    let hasPiece = false;
-    this.players.forEach(player => {
-      if (player.position && 
-          player.position.x === position.x && 
-          player.position.z === position.z) {
-        hasPiece = true;
-      }
-    });
-    
-    if (hasPiece) return false;
-    
-    // Check for entities
-    let hasEntity = false;
-    this.entities.forEach(entity => {
-      if (entity.position && 
-          entity.position.x === position.x && 
-          entity.position.z === position.z) {
-        hasEntity = true;
-      }
-    });
-    
-    if (hasEntity) return false;
-    
-    // Check for loot
-    let hasLoot = false;
-    this.lootItems.forEach(loot => {
-      if (loot.position && 
-          loot.position.x === position.x && 
-          loot.position.z === position.z) {
-        hasLoot = true;
-      }
-    });
-    
-    return !hasLoot;
-  }
-  
-  /**
-   * Update all entities in the game
-   * @param {number} delta - Time delta since last update
-   */
-  updateEntities(delta) {
-    // Update neutral entities like the Vine Beast
-    this.entities.forEach((entity, id) => {
-      // Move neutral entities randomly every few seconds
-      if (entity.isNeutral && entity.lastMoveTime + 3 < this.time) {
-        this.moveNeutralEntity(id);
-        entity.lastMoveTime = this.time;
-      }
-    });
+    // Remove loot from board
+    this.lootItems.delete(data.lootId);
     
-    // Update loot items (check for collection, expiry, etc.)
-    this.lootItems.forEach((loot, id) => {
-      // Check if any player is on the loot
-      this.players.forEach(player => {
-        if (player.position && 
-            player.position.x === loot.position.x && 
-            player.position.z === loot.position.z) {
-          // Player collected loot
-          this.collectLoot(player.id, id);
-        }
-      });
-    });
+    // Remove visual representation if we have scene access
+    if (typeof scene !== 'undefined') {
+      this.removeLootMesh(data.lootId);
+    }
   }
   
   /**
-   * Move a neutral entity like the Vine Beast
-   * @param {string} entityId - ID of the entity to move
+   * Handle a neutral entity update from the server
+   * @param {Object} entity - Entity data {id, type, position, hp}
    */
-  moveNeutralEntity(entityId) {
-    const entity = this.entities.get(entityId);
-    if (!entity) return;
-    
-    // Get possible moves (adjacent squares)
-    const moves = [
-      { x: entity.position.x + 1, z: entity.position.z },
-      { x: entity.position.x - 1, z: entity.position.z },
-      { x: entity.position.x, z: entity.position.z + 1 },
-      { x: entity.position.x, z: entity.position.z - 1 }
-    ];
-    
-    // Filter for valid moves
-    const validMoves = moves.filter(move => 
-      move.x >= 0 && move.x < 8 && move.z >= 0 && move.z < 8
-    );
+  handleEntityUpdate(entity) {
+    const known = this.entities.has(entity.id);
     
-    if (validMoves.length > 0) {
-      // Choose a random valid move
-      const newPosition = validMoves[Math.floor(Math.random() * validMoves.length)];
-      
-      // Update entity position
-      entity.position = newPosition;
-      
-      // Update visual representation if we have scene access
+    // Remove defeated entities
+    if (entity.hp <= 0) {
+      this.entities.delete(entity.id);
       if (typeof scene !== 'undefined') {
-        this.updateEntityMesh(entityId, newPosition);
+        this.removeEntityMesh(entity.id);
       }
-      
-      // Check for collisions with players
-      this.players.forEach(player => {
-        if (player.position && 
-            player.position.x === newPosition.x && 
-            player.position.z === newPosition.z) {
-          // Deal damage to player
-          player.hp -= 2;
-          
-          // Create visual effect for damage
-          if (typeof scene !== 'undefined') {
-            this.createDamageEffect(newPosition);
-          }
-          
-          // Broadcast update if using network
-          if (typeof socket !== 'undefined') {
-            socket.emit('playerDamage', {
-              id: player.id,
-              damage: 2,
-              hp: player.hp
-            });
-          }
-        }
-      });
-    }
-  }
-  
-  /**
-   * Handle a player collecting loot
-   * @param {string} playerId - ID of the player collecting the loot
-   * @param {string} lootId - ID of the loot being collected
-   */
-  collectLoot(playerId, lootId) {
-    const player = this.players.get(playerId);
-    const loot = this.lootItems.get(lootId);
-    
-    if (!player || !loot) return;
-    
-    console.log(`Player ${playerId} collected ${loot.type} loot`);
-    
-    // Apply loot effect
-    switch (loot.type) {
-      case 'doubleMove':
-        player.hasDoubleMove = true;
-        break;
-        
-      case 'petalShield':
-        player.hasShield = true;
-        player.shieldDuration = loot.duration;
-        break;
-        
-      case 'vineTrap':
-        // Store for later use
-        player.hasVineTrap = true;
-        break;
+      return;
     }
     
-    // Remove loot from board
-    this.lootItems.delete(lootId);
+    this.entities.set(entity.id, entity);
     
-    // Remove visual representation if we have scene access
-    if (typeof scene !== 'undefined') {
-      this.removeLootMesh(lootId);
-    }
+    if (typeof scene === 'undefined') return;
     
-    // Broadcast collection if using network
-    if (typeof socket !== 'undefined') {
-      socket.emit('lootCollect', {
-        playerId: playerId,
-        lootId: lootId,
-        lootType: loot.type
-      });
+    if (known) {
+      this.updateEntityMesh(entity.id, entity.position);
+    } else {
+      this.createVineBeastMesh(entity.id, entity.position);
     }
   }
   
@@ -484,14 +279,14 @@ export class Game {
   
   /**
    * Create a visual effect for the King's Call event
+   * @param {Array} kings - Kings to surround with an aura
    */
-  createKingsCallEffect() {
+  createKingsCallEffect(kings) {
     // Only create if we have scene access
     if (typeof scene === 'undefined') return;
     
-    // Find all kings
-    this.players.forEach(player => {
-      if (player.type === 'king' && player.position) {
+    kings.forEach(player => {
+      if (player.position) {
         // Create aura effect
         const auraGeometry = new THREE.RingGeometry(0.5, 2, 16);
         const auraColor = player.team === 'white' ? 0xFFD700 : 0xFF4500;
@@ -505,7 +300,8 @@ export class Game {
         
         const aura = new THREE.Mesh(auraGeometry, auraMaterial);
         aura.rotation.x = -Math.PI / 2; // Flat on the ground
-        aura.position.set(player.position.x, 0.1, player.position.z);
+        const scenePos = boardToScene(player.position.x, player.position.z);
+        aura.position.set(scenePos.x, 0.1, scenePos.z);
         
         // Add to scene
         scene.add(aura);
@@ -609,7 +405,8 @@ export class Game {
     vineBeast.add(rightEye);
     
     // Position the entity
-    vineBeast.position.set(position.x, 0.5, position.z);
+    const scenePos = boardToScene(position.x, position.z);
+    vineBeast.position.set(scenePos.x, 0.5, scenePos.z);
     
     // Add to scene
     scene.add(vineBeast);
@@ -738,7 +535,8 @@ export class Game {
     lootMesh.add(glow);
     
     // Position the loot
-    lootMesh.position.set(position.x, 0.5, position.z);
+    const scenePos = boardToScene(position.x, position.z);
+    lootMesh.position.set(scenePos.x, 0.5, scenePos.z);
     
     // Add to scene
     scene.add(lootMesh);
@@ -779,10 +577,29 @@ export class Game {
     scene.traverse(object => {
       if (object.userData && object.userData.entityId === entityId) {
         // Smoothly move to new position
-        object.position.x = newPosition.x;
-        object.position.z = newPosition.z;
+        const scenePos = boardToScene(newPosition.x, newPosition.z);
+        object.position.x = scenePos.x;
+        object.position.z = scenePos.z;
+      }
+    });
+  }
+  
+  /**
+   * Remove an entity mesh from the scene
+   * @param {string} entityId - ID of the entity to remove
+   */
+  removeEntityMesh(entityId) {
+    // Only remove if we have scene access
+    if (typeof scene === 'undefined') return;
+    
+    // Collect first so we don't modify the scene while traversing it
+    const meshes = [];
+    scene.traverse(object => {
+      if (object.userData && object.userData.entityId === entityId) {
+        meshes.push(object);
       }
     });
+    meshes.forEach(mesh => scene.remove(mesh));
   }
   
   /**
@@ -808,7 +625,8 @@ export class Game {
       const particle = new THREE.Mesh(particleGeometry, particleMaterial);
       
       // Position at damage center
-      particle.position.set(position.x, 0.5, position.z);
+      const scenePos = boardToScene(position.x, position.z);
+      particle.position.set(scenePos.x, 0.5, scenePos.z);
       
       // Store velocity for animation
       particle.userData = {
@@ -0,0 +1,59 @@
+// leaderboard.js - Loads and renders the rating leaderboard page
+
+const modeSelect = document.getElementById('leaderboardMode');
+const typeSelect = document.getElementById('leaderboardType');
+
+// Fetch the leaderboard for the selected filters
+function loadLeaderboard() {
+  const params = new URLSearchParams({ mode: modeSelect.value, type: typeSelect.value });
+  
+  fetch(`/api/leaderboard?${params}`)
+    .then(response => {
+      if (!response.ok) throw new Error(`Leaderboard request failed: ${response.status}`);
+      return response.json();
+    })
+    .then(renderLeaderboard)
+    .catch(error => {
+      console.error('Error loading leaderboard:', error);
+      document.getElementById('leaderboardMessage').textContent = 'The leaderboard could not be loaded';
+    });
+}
+
+// Fill the table with the ranked players
+function renderLeaderboard(data) {
+  const rows = document.getElementById('leaderboardRows');
+  rows.innerHTML = '';
+  
+  document.getElementById('leaderboardMessage').textContent =
+    data.players.length === 0 ? 'No rated players yet' : '';
+  
+  data.players.forEach(player => {
+    const row = document.createElement('tr');
+    [player.rank, player.nickname, player.rating, player.games].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    rows.appendChild(row);
+  });
+}
+
+// Keep the filters in the address so a filtered board can be shared
+function applyQueryFilters() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('mode')) modeSelect.value = params.get('mode');
+  if (params.has('type')) typeSelect.value = params.get('type');
+}
+
+// Reload when a filter changes
+function updateFilters() {
+  const params = new URLSearchParams({ mode: modeSelect.value, type: typeSelect.value });
+  history.replaceState(null, '', `?${params}`);
+  loadLeaderboard();
+}
+
+modeSelect.addEventListener('change', updateFilters);
+typeSelect.addEventListener('change', updateFilters);
+
+applyQueryFilters();
+loadLeaderboard();
@@ -2,10 +2,12 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { ChessPiece } from './pieces.js';
-import { createMap } from './map.js';
+import { ChessPiece, setAbilityTable } from './pieces.js';
+import { createMap, boardToScene, setTileHighlight } from './map.js';
 import { Game } from './game.js';
-import { ChessRules } from './chessRules.js';
+import { ChessRules } from '/shared/chessRules.js';
+import { getAffectedSquares, isAimInRange } from '/shared/abilityAreas.js';
+import { ReplayPlayer, parseReplay } from './replay.js';
 
 // Initialize scene, camera, and renderer
 const scene = new THREE.Scene();
@@ -36,15 +38,16 @@ scene.background = new THREE.Color('#1A1A3D'); // Deep Midnight Blue
 // Make scene globally accessible for other modules
 window.scene = scene;
 
+// Store players
+const players = new Map();
+
 // Initialize game logic
-const game = new Game();
-const chessRules = new ChessRules();
+const game = new Game(players);
+let chessRules = new ChessRules();
 
 // Add the chess board to the scene
-scene.add(createMap());
-
-// Store players
-const players = new Map();
+const map = createMap();
+scene.add(map);
 
 // Performance optimization - time tracking
 let lastUIUpdateTime = 0;
@@ -52,35 +55,30 @@ const UI_UPDATE_INTERVAL = 250; // Update UI every 250ms
 let lastServerUpdateTime = 0;
 const SERVER_UPDATE_INTERVAL = 100; // Send updates to server every 100ms
 
-// Define traditional chess positions (board coordinates 0-7)
-const traditionalPositions = {
-  'white': {
-    'pawn': [{x: 0, z: 6}, {x: 1, z: 6}, {x: 2, z: 6}, {x: 3, z: 6}, 
-             {x: 4, z: 6}, {x: 5, z: 6}, {x: 6, z: 6}, {x: 7, z: 6}],
-    'rook': [{x: 0, z: 7}, {x: 7, z: 7}],
-    'knight': [{x: 1, z: 7}, {x: 6, z: 7}],
-    'bishop': [{x: 2, z: 7}, {x: 5, z: 7}],
-    'queen': [{x: 3, z: 7}],
-    'king': [{x: 4, z: 7}]
-  },
-  'black': {
-    'pawn': [{x: 0, z: 1}, {x: 1, z: 1}, {x: 2, z: 1}, {x: 3, z: 1}, 
-             {x: 4, z: 1}, {x: 5, z: 1}, {x: 6, z: 1}, {x: 7, z: 1}],
-    'rook': [{x: 0, z: 0}, {x: 7, z: 0}],
-    'knight': [{x: 1, z: 0}, {x: 6, z: 0}],
-    'bishop': [{x: 2, z: 0}, {x: 5, z: 0}],
-    'queen': [{x: 3, z: 0}],
-    'king': [{x: 4, z: 0}]
-  }
-};
+// Session storage key for the token that lets us reclaim our piece after a reconnect
+const SESSION_KEY = 'chessRoyaleSession';
+let currentMatchId = null;
+let currentMatchMode = null;
 
-// Function to convert board coordinates to scene coordinates
-function boardToScene(boardX, boardZ) {
-  return {
-    x: boardX - 3.5,
-    z: boardZ - 3.5
-  };
-}
+// Local storage key for the profile ID and key that carry stats between sessions
+const PROFILE_KEY = 'chessRoyaleProfile';
+let currentProfile = null;
+
+// The recorded match being played back, if any
+let replay = null;
+let replaySeeking = false;
+
+// Banner subtitles for the ways a match can end
+const matchEndReasons = {
+  kingDefeated: 'The king has fallen',
+  checkmate: 'Checkmate',
+  stalemate: 'Stalemate',
+  lastStanding: 'Last piece standing',
+  teamLeft: 'The other team left',
+  suddenDeath: 'Sudden death',
+  overtimeUp: 'Overtime is over',
+  timeUp: 'Time is up'
+};
 
 // Set up socket.io connection
 // Use empty io() to connect to the same origin that served the page
@@ -104,10 +102,97 @@ function setupSocketHandlers() {
   socket.on('connect', () => {
     console.log('Connected to server with ID:', socket.id);
     
+    // Pieces from a previous connection are rebuilt from the server's state
+    if (replay) stopReplay();
+    clearPieces();
+    hideMatchBanner();
+    if (isSpectating) exitSpectatorMode();
+    
+    // Pick up our profile before joining anything, so stats are credited to it
+    identifyProfile();
+    
+    // Try to get our piece back after a dropped connection
+    const session = loadSession();
+    if (session) {
+      socket.emit('resumeSession', session);
+      return;
+    }
+    
+    // Show the lobby so the player can pick a match
+    showLobby();
+  });
+
+  // Handle our profile and its lifetime stats
+  socket.on('profile', (profile) => {
+    // The key only comes with identify, and is needed to claim the profile again
+    if (profile.key) {
+      localStorage.setItem(PROFILE_KEY, JSON.stringify({ id: profile.id, key: profile.key }));
+    }
+    
+    currentProfile = profile;
+    renderProfile();
+  });
+
+  socket.on('nicknameRejected', () => {
+    document.getElementById('profileMessage').textContent = 'That nickname cannot be used';
+  });
+
+  // Handle getting our reserved piece back after a reconnect
+  socket.on('sessionResumed', (match) => {
+    console.log(`Resumed session in match ${match.id}: ${match.name}`);
+    currentMatchId = match.id;
+    currentMatchMode = match.mode;
+    hideLobby();
+    
+    const assignment = match.assignment;
+    document.getElementById('pieceInfo').textContent = 
+      `${assignment.type.charAt(0).toUpperCase() + assignment.type.slice(1)} (${assignment.team})`;
+    showStatusMessage('Reconnected');
+  });
+
+  // Handle a reserved piece that was given up while we were away
+  socket.on('sessionExpired', () => {
+    clearSession();
+    showLobby();
+    document.getElementById('lobbyMessage').textContent = 'Your previous session has expired';
+  });
+
+  // Handle the list of open matches from the lobby
+  socket.on('matchList', (matches) => {
+    renderMatchList(matches);
+  });
+
+  // Handle joining a match
+  socket.on('matchJoined', (match) => {
+    console.log(`Joined match ${match.id}: ${match.name}`);
+    currentMatchId = match.id;
+    currentMatchMode = match.mode;
+    clearSession();
+    hideLobby();
+    
+    // Spectators watch without a piece
+    if (match.role === 'spectator') {
+      enterSpectatorMode();
+      return;
+    }
+    
     // Ask server for piece assignment
     socket.emit('requestPieceAssignment', { id: socket.id });
   });
 
+  socket.on('joinRejected', (data) => {
+    let message = data.reason || 'Unable to join match';
+    if (data.canSpectate) {
+      message += ' - you can still watch it';
+    }
+    
+    // A match can fill up between joining it and asking for a piece
+    currentMatchId = null;
+    currentMatchMode = null;
+    showLobby();
+    document.getElementById('lobbyMessage').textContent = message;
+  });
+
   // Handle piece assignment from server
   socket.on('pieceAssignment', (data) => {
     if (!data.type || !data.team || !data.position) {
@@ -117,6 +202,9 @@ function setupSocketHandlers() {
     
     console.log(`Assigned ${data.team} ${data.type} at position (${data.position.x}, ${data.position.z})`);
     
+    // Remember the session so a dropped connection does not lose the piece
+    saveSession(data.token);
+    
     // Update UI to show player info
     document.getElementById('pieceInfo').textContent = 
       `${data.type.charAt(0).toUpperCase() + data.type.slice(1)} (${data.team})`;
@@ -135,6 +223,7 @@ function setupSocketHandlers() {
       chessRules.registerPiece(socket.id, {
         type: data.type,
         team: data.team,
+        faction: data.faction,
         position: data.position,
         hp: piece.hp
       });
@@ -154,90 +243,1036 @@ function setupSocketHandlers() {
 
   // Handle updates from server
   socket.on('update', (serverPlayers) => {
-    // Process each player data from the server
-    for (const [id, p] of Object.entries(serverPlayers)) {
-      let piece = players.get(id);
+    applyServerPlayers(serverPlayers);
+  });
+
+  // Handle the world state sent when joining a match
+  socket.on('gameState', (state) => {
+    setAbilityTable(state.abilities);
+    game.syncState(state);
+    applyServerPlayers(state.players);
+    chessRules.setLastMove(state.lastMove);
+    
+    handlePhaseChange({
+      phase: state.phase,
+      duration: state.phaseRemaining,
+      players: Object.keys(state.players).length,
+      minPlayers: state.minPlayers
+    });
+  });
+
+  // The last move made, which decides whether pawns can capture en passant
+  socket.on('lastMove', (move) => {
+    chessRules.setLastMove(move);
+    refreshMoveSelection();
+  });
+
+  // Our inventory and Double Move charges are only sent to us
+  socket.on('privateState', (data) => {
+    bonusMoves = data.bonusMoves || 0;
+    renderInventory(data.inventory || []);
+  });
+
+  // Settings changed by an admin between matches
+  socket.on('settingsUpdate', (settings) => {
+    game.applySettings(settings);
+  });
+  
+  // Handle match lifecycle changes
+  socket.on('phaseChange', (data) => {
+    handlePhaseChange(data);
+  });
+
+  // Handle the end of a match and the countdown to the next one
+  socket.on('matchEnd', (data) => {
+    let title = 'DRAW';
+    if (data.mode === 'ffa' && data.winner) {
+      // Free-for-All winners are individual players
+      title = data.winner === socket.id
+        ? 'YOU WIN'
+        : `${data.winnerPiece.team.toUpperCase()} ${data.winnerPiece.type.toUpperCase()} WINS`;
+    } else if (data.winner) {
+      title = `${data.winner.toUpperCase()} WINS`;
+    }
+    
+    showMatchBanner(title, matchEndReasons[data.reason] || data.reason);
+  });
+
+  // Handle server-simulated events, loot and neutral entities
+  socket.on('eventStart', (eventData) => {
+    console.log("Game event received:", eventData);
+    game.handleEventStart(eventData);
+    
+    // Update UI to show event
+    document.getElementById('activeEvents').innerHTML = 
+      `<div>${eventData.eventType || 'Game event'} activated!</div>` + document.getElementById('activeEvents').innerHTML;
+  });
+
+  socket.on('lootSpawn', (loot) => {
+    game.handleLootSpawn(loot);
+  });
+
+  socket.on('lootCollect', (data) => {
+    game.handleLootCollect(data);
+  });
+
+  socket.on('entityUpdate', (entity) => {
+    game.handleEntityUpdate(entity);
+  });
+
+  // The Vine Beast's loot is kept for whoever defeated it
+  socket.on('entityDefeat', (data) => {
+    if (data.killerId === socket.id) {
+      showStatusMessage(data.lootId ? 'Vine Beast defeated - its loot is yours for 10s' : 'Vine Beast defeated');
+    }
+  });
+
+  // Handle items refused by the server
+  socket.on('itemRejected', (data) => {
+    const reasons = {
+      phase: 'Wait for the match to start',
+      defeated: 'Defeated pieces cannot use items',
+      emptySlot: 'That slot is empty',
+      invalidTarget: `Aim at an enemy ${data.targetType}`,
+      outOfRange: `That is too far away (max ${data.range} squares)`,
+      spectator: 'Spectators cannot use items'
+    };
+    showStatusMessage(reasons[data.reason] || 'That item cannot be used right now');
+  });
+
+  socket.on('itemUsed', (data) => {
+    const name = itemNames[data.itemType] || data.itemType;
+    
+    if (data.targetId === socket.id) {
+      // Vine Traps hold us in place
+      playerMovement.rootedUntil = performance.now() + data.duration * 1000;
+      showStatusMessage(`Caught in a ${name} for ${data.duration}s`);
+    } else if (data.playerId === socket.id) {
+      showStatusMessage(data.itemType === 'doubleMove' ? 'Double Move ready - move twice' : `${name} used`);
+    }
+  });
+
+  // Handle moves refused by the server
+  socket.on('moveRejected', (data) => {
+    playerMovement.targetPosition = null;
+    
+    const player = players.get(socket.id);
+    if (player && data.correctPosition) {
+      const scenePos = boardToScene(data.correctPosition.x, data.correctPosition.z);
+      player.mesh.position.set(scenePos.x, 1, scenePos.z);
+    }
+    
+    if (data.reason === 'rooted') {
+      showStatusMessage('You are caught in a Vine Trap');
+    }
+  });
+
+  // Handle a capture or hit turned away by a Petal Shield
+  socket.on('shieldBlock', (data) => {
+    const attack = data.cause === 'capture' ? 'capture' : 'hit';
+    if (data.attackerId === socket.id) {
+      showStatusMessage(`Your ${attack} was blocked by a Petal Shield`);
+    } else if (data.targetId === socket.id) {
+      showStatusMessage(`Your Petal Shield blocked a ${attack}`);
+    }
+  });
+
+  // Handle our pawn reaching the far rank
+  socket.on('promotionAvailable', (data) => {
+    showPromotionPrompt(data.choices);
+  });
+
+  socket.on('promotionRejected', () => {
+    hidePromotionPrompt();
+    showStatusMessage('Promotion is not available');
+  });
+
+  // Handle a pawn promotion anywhere on the board
+  socket.on('piecePromoted', (data) => {
+    const piece = players.get(data.id);
+    if (piece) {
+      setPieceType(data.id, piece, data.type);
+      piece.hp = data.hp;
+    }
+    
+    if (data.id === socket.id) {
+      hidePromotionPrompt();
+      showStatusMessage(`Promoted to ${data.type}!`);
+    }
+  });
+
+  // Handle kings coming under attack
+  socket.on('check', (data) => {
+    const player = players.get(socket.id);
+    
+    if (data.id === socket.id) {
+      document.getElementById('checkWarning').style.display = data.inCheck ? 'block' : 'none';
+    } else if (data.inCheck && player && player.team === data.team && currentMatchMode !== 'ffa') {
+      showStatusMessage('Your king is in check!');
+    }
+  });
+
+  // Handle castling, which needs the rook player's consent
+  socket.on('castlingRequest', (data) => {
+    showCastlingPrompt(data.timeout);
+  });
+
+  socket.on('castlingCancelled', () => {
+    hideCastlingPrompt();
+  });
+
+  socket.on('castlingPending', () => {
+    showStatusMessage('Waiting for your rook to agree...');
+  });
+
+  socket.on('castlingDeclined', (data) => {
+    const reasons = {
+      declined: 'Your rook declined to castle',
+      timeout: 'Your rook did not answer',
+      busy: 'That rook is already being asked',
+      invalidMove: 'Castling is no longer possible',
+      rooted: 'A Vine Trap is holding one of the pieces',
+      cooldown: 'One of the pieces moved a moment ago'
+    };
+    showStatusMessage(reasons[data.reason] || 'Castling failed');
+  });
+
+  // The server has the final say on how long our ability recharges
+  socket.on('abilityAccepted', (data) => {
+    const player = players.get(socket.id);
+    if (player) player.setCooldown(data.cooldown);
+  });
+
+  // Handle abilities the server refused
+  socket.on('abilityRejected', (data) => {
+    const player = players.get(socket.id);
+    
+    switch (data.reason) {
+      case 'cooldown':
+        // Resync our cooldown with the server's
+        if (player) player.cooldown = data.remaining;
+        showStatusMessage(`${data.ability} is recharging (${Math.ceil(data.remaining)}s)`);
+        break;
+      case 'outOfRange':
+        if (player) player.cooldown = 0;
+        showStatusMessage(`${data.ability} is out of range (max ${data.range})`);
+        break;
+      case 'phase':
+        if (player) player.cooldown = 0;
+        showStatusMessage('Wait for the match to start');
+        break;
+      case 'spectator':
+        showStatusMessage('Spectators cannot use abilities');
+        break;
+      case 'invalidTarget':
+        if (player) player.cooldown = 0;
+        showStatusMessage(`Aim ${data.ability} at another square`);
+        break;
+      default:
+        if (player) player.cooldown = 0;
+        showStatusMessage(`${data.ability} cannot be used right now`);
+    }
+  });
+
+  // Socket.IO reconnects on its own; the piece is held for us meanwhile
+  socket.on('disconnect', () => {
+    console.log('Disconnected from server');
+    showMatchBanner('CONNECTION LOST', 'Reconnecting...');
+  });
+}
+
+// Sync the local pieces with the player records from the server
+function applyServerPlayers(serverPlayers) {
+  // Remove pieces of players who have left the match (our own piece may
+  // not have reached the server yet)
+  players.forEach((piece, id) => {
+    if (id !== socket.id && !serverPlayers[id]) {
+      scene.remove(piece.mesh);
+      players.delete(id);
+      chessRules.removePiece(id);
+    }
+  });
+  
+  // Process each player data from the server
+  for (const [id, p] of Object.entries(serverPlayers)) {
+    let piece = players.get(id);
+    
+    // If this is a new player we haven't seen before
+    if (!piece && p && p.hp > 0) {
+      // Create new piece object (ensure we have valid type and team)
+      const pieceType = p.type || 'pawn';
+      const pieceTeam = p.team || 'white';
       
-      // If this is a new player we haven't seen before
-      if (!piece && p && p.hp > 0) {
-        // Create new piece object (ensure we have valid type and team)
-        const pieceType = p.type || 'pawn';
-        const pieceTeam = p.team || 'white';
-        
-        piece = new ChessPiece(pieceType, pieceTeam, id);
-        players.set(id, piece);
-        scene.add(piece.mesh);
-        
-        // Add metadata to the mesh for raycasting
-        piece.mesh.userData.pieceId = id;
+      piece = new ChessPiece(pieceType, pieceTeam, id);
+      players.set(id, piece);
+      scene.add(piece.mesh);
+      
+      // Add metadata to the mesh for raycasting
+      piece.mesh.userData.pieceId = id;
+      
+      // Register with chess rules
+      try {
+        chessRules.registerPiece(id, {
+          type: pieceType,
+          team: pieceTeam,
+          faction: p.faction,
+          position: p.position || { x: 0, z: 0 },
+          hp: p.hp
+        });
+      } catch (error) {
+        console.error("Error registering piece from server update:", error);
+      }
+    }
+    
+    if (piece && p) {
+      // Update position
+      if (p.position) {
+        // Convert from board coordinates (0-7) to scene coordinates (-3.5 to 3.5)
+        const scenePos = boardToScene(p.position.x, p.position.z);
+        piece.mesh.position.set(scenePos.x, 1, scenePos.z);
         
-        // Register with chess rules
+        // Update position in chess rules
         try {
-          chessRules.registerPiece(id, {
-            type: pieceType,
-            team: pieceTeam,
-            position: p.position || { x: 0, z: 0 },
-            hp: p.hp
-          });
+          chessRules.updatePiecePosition(id, p.position);
         } catch (error) {
-          console.error("Error registering piece from server update:", error);
+          console.error("Error updating piece position:", error);
         }
       }
       
-      if (piece && p) {
-        // Update position
-        if (p.position) {
-          // Convert from board coordinates (0-7) to scene coordinates (-3.5 to 3.5)
-          const scenePos = boardToScene(p.position.x, p.position.z);
-          piece.mesh.position.set(scenePos.x, 1, scenePos.z);
-          
-          // Update position in chess rules
-          try {
-            chessRules.updatePiecePosition(id, p.position);
-          } catch (error) {
-            console.error("Error updating piece position:", error);
-          }
-        }
-        
-        // Update health
-        piece.hp = p.hp;
-        
-        // Remove if dead
-        if (p.hp <= 0) {
-          scene.remove(piece.mesh);
-          players.delete(id);
-        }
+      // Castling needs to know which pieces have moved, and capture damage their HP
+      const rulesPiece = chessRules.getPieceById(id);
+      if (rulesPiece) {
+        rulesPiece.hasMoved = !!p.hasMoved;
+        rulesPiece.hp = p.hp;
+      }
+      
+      // Pieces change type on promotion and back when the match resets
+      if (p.type && p.type !== piece.type) {
+        setPieceType(id, piece, p.type);
+      }
+      
+      // Update health
+      piece.hp = p.hp;
+      
+      // Show shields, roots, auras and buffs
+      piece.setStatusEffects(p.effects || []);
+      
+      // Remove if dead
+      if (p.hp <= 0) {
+        scene.remove(piece.mesh);
+        players.delete(id);
+        chessRules.removePiece(id);
       }
     }
+  }
+  
+  // Defeated players without a respawn watch the rest of the match
+  const ownRecord = serverPlayers[socket.id];
+  if (ownRecord && ownRecord.isSpectator && !isSpectating) {
+    enterSpectatorMode();
+    showStatusMessage('You have been defeated - spectating');
+  } else if (ownRecord && ownRecord.hp > 0 && !ownRecord.isSpectator && isSpectating) {
+    exitSpectatorMode();
+  }
+  
+  lastServerPlayers = serverPlayers;
+  if (isSpectating) {
+    updateSpectatorUI();
+  }
+  
+  // Other pieces moving changes where ours can go
+  refreshMoveSelection();
+}
+
+// Swap a piece's mesh and rules entry to a new type
+function setPieceType(id, piece, type) {
+  piece.setType(type);
+  
+  const rulesPiece = chessRules.getPieceById(id);
+  if (rulesPiece) {
+    chessRules.registerPiece(id, { ...rulesPiece, type });
+  }
+  
+  if (id === socket.id) {
+    document.getElementById('pieceInfo').textContent = 
+      `${type.charAt(0).toUpperCase() + type.slice(1)} (${piece.team})`;
+  }
+}
+
+// Let the player pick what their pawn becomes
+function showPromotionPrompt(choices) {
+  const choicesElement = document.getElementById('promotionChoices');
+  choicesElement.innerHTML = '';
+  
+  choices.forEach(type => {
+    const button = document.createElement('button');
+    button.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+    button.addEventListener('click', () => {
+      socket.emit('promote', { type });
+    });
+    choicesElement.appendChild(button);
   });
+  
+  document.getElementById('promotionPrompt').style.display = 'block';
+}
 
-  // Handle other socket events
-  socket.on('gameEvent', (eventData) => {
-    console.log("Game event received:", eventData);
-    // Update UI to show event
-    document.getElementById('activeEvents').innerHTML = 
-      `<div>${eventData.eventType || 'Game event'} activated!</div>` + document.getElementById('activeEvents').innerHTML;
+// Hide the promotion prompt
+function hidePromotionPrompt() {
+  document.getElementById('promotionPrompt').style.display = 'none';
+}
+
+// Ask the rook player whether to castle
+let castlingPromptTimeout = null;
+function showCastlingPrompt(seconds) {
+  document.getElementById('castlingPrompt').style.display = 'block';
+  
+  clearTimeout(castlingPromptTimeout);
+  castlingPromptTimeout = setTimeout(hideCastlingPrompt, seconds * 1000);
+}
+
+// Hide the castling prompt
+function hideCastlingPrompt() {
+  clearTimeout(castlingPromptTimeout);
+  document.getElementById('castlingPrompt').style.display = 'none';
+}
+
+// Answer a castling request
+function respondToCastling(accept) {
+  socket.emit('castlingResponse', { accept });
+  hideCastlingPrompt();
+}
+
+document.getElementById('acceptCastling').addEventListener('click', () => respondToCastling(true));
+document.getElementById('declineCastling').addEventListener('click', () => respondToCastling(false));
+
+// Remove every piece from the board
+function clearPieces() {
+  players.forEach(piece => scene.remove(piece.mesh));
+  players.clear();
+  chessRules = new ChessRules();
+  clearMoveSelection();
+}
+
+// Tell the server which profile we are, creating one on first visit
+function identifyProfile() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(PROFILE_KEY));
+  } catch (error) {
+    localStorage.removeItem(PROFILE_KEY);
+  }
+  
+  socket.emit('identify', stored || {});
+}
+
+// Show the profile panel with fresh stats
+function showProfile() {
+  document.getElementById('profileMessage').textContent = '';
+  document.getElementById('profilePanel').style.display = 'block';
+  hideLobby();
+  socket.emit('getProfile');
+}
+
+// Close the profile panel and go back to the lobby
+function hideProfile() {
+  document.getElementById('profilePanel').style.display = 'none';
+  showLobby();
+}
+
+// Fill the profile panel with our nickname and stats by piece type
+function renderProfile() {
+  if (!currentProfile) return;
+  
+  const nicknameInput = document.getElementById('profileNickname');
+  if (document.activeElement !== nicknameInput) {
+    nicknameInput.value = currentProfile.nickname;
+  }
+  
+  // Overall ratings for each mode
+  const ratings = currentProfile.ratings || {};
+  const ratingText = (mode) => ratings[mode] && ratings[mode].all
+    ? `${ratings[mode].all.rating} (${ratings[mode].all.games} games)`
+    : 'unrated';
+  document.getElementById('profileRatings').textContent =
+    `Team rating: ${ratingText('team')} | FFA rating: ${ratingText('ffa')}`;
+  
+  const columns = [
+    ['matchesPlayed', 'Played'],
+    ['wins', 'Wins'],
+    ['captures', 'Captures'],
+    ['defeats', 'Defeats'],
+    ['damageDealt', 'Damage'],
+    ['lootCollected', 'Loot']
+  ];
+  
+  const table = document.getElementById('profileStats');
+  table.innerHTML = '';
+  
+  const addRow = (label, stats, cellTag) => {
+    const row = document.createElement('tr');
+    [label, ...columns.map(([stat, heading]) => stats ? stats[stat] || 0 : heading)].forEach(value => {
+      const cell = document.createElement(cellTag);
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    table.appendChild(row);
+  };
+  
+  addRow('Piece', null, 'th');
+  ['pawn', 'rook', 'knight', 'bishop', 'queen', 'king'].forEach(type => {
+    addRow(type.charAt(0).toUpperCase() + type.slice(1), currentProfile.stats[type] || {}, 'td');
   });
+  addRow('Total', currentProfile.totals, 'td');
+}
 
-  socket.on('disconnect', () => {
-    console.log('Disconnected from server');
-    document.getElementById('ui').innerHTML = 
-      '<div style="color: red; background: rgba(0,0,0,0.7); padding: 20px;">Connection lost. Please refresh the page.</div>';
+document.getElementById('openProfile').addEventListener('click', () => {
+  if (socket) showProfile();
+});
+
+document.getElementById('closeProfile').addEventListener('click', hideProfile);
+
+document.getElementById('openLeaderboard').addEventListener('click', () => {
+  window.open('/leaderboard', '_blank');
+});
+
+document.getElementById('saveNickname').addEventListener('click', () => {
+  if (!socket) return;
+  
+  document.getElementById('profileMessage').textContent = '';
+  socket.emit('setNickname', { nickname: document.getElementById('profileNickname').value });
+});
+
+// Save the session token for the current match
+function saveSession(token) {
+  if (!token || !currentMatchId) return;
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify({ matchId: currentMatchId, token }));
+}
+
+// Load the saved session, if any
+function loadSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Forget the saved session
+function clearSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+}
+
+// Spectator state - the piece the camera follows and the last server snapshot
+let isSpectating = false;
+let spectateTargetId = null;
+let lastServerPlayers = {};
+
+// Switch the HUD and camera to watching the match
+function enterSpectatorMode() {
+  isSpectating = true;
+  spectateTargetId = null;
+  clearMoveSelection();
+  
+  document.getElementById('pieceInfo').textContent = 'Spectating';
+  document.getElementById('healthBar').style.display = 'none';
+  document.getElementById('cooldown').style.display = 'none';
+  document.getElementById('moveHelp').textContent = 'Press Q / E to switch view';
+  document.getElementById('teamTotals').style.display = 'block';
+  document.getElementById('spectatorControls').style.display = 'block';
+  
+  cycleSpectateTarget(1);
+}
+
+// Return the HUD to controlling our own piece
+function exitSpectatorMode() {
+  isSpectating = false;
+  spectateTargetId = null;
+  
+  const player = players.get(socket.id);
+  if (player) {
+    document.getElementById('pieceInfo').textContent = 
+      `${player.type.charAt(0).toUpperCase() + player.type.slice(1)} (${player.team})`;
+  }
+  document.getElementById('healthBar').style.display = '';
+  document.getElementById('cooldown').style.display = '';
+  document.getElementById('moveHelp').textContent = 'Click your piece to see valid moves';
+  document.getElementById('teamTotals').style.display = 'none';
+  document.getElementById('spectatorControls').style.display = 'none';
+}
+
+// Move the spectator camera to the next or previous living piece
+function cycleSpectateTarget(direction) {
+  const ids = Array.from(players.keys());
+  if (ids.length === 0) {
+    spectateTargetId = null;
+    updateSpectatorUI();
+    return;
+  }
+  
+  const currentIndex = ids.indexOf(spectateTargetId);
+  const nextIndex = currentIndex === -1
+    ? 0
+    : (currentIndex + direction + ids.length) % ids.length;
+  spectateTargetId = ids[nextIndex];
+  
+  updateSpectatorUI();
+}
+
+// Show who is being watched and each team's remaining HP
+function updateSpectatorUI() {
+  // Pick a new piece to follow if ours was defeated
+  if (spectateTargetId && !players.has(spectateTargetId)) {
+    spectateTargetId = null;
+    if (players.size > 0) {
+      cycleSpectateTarget(1);
+      return;
+    }
+  }
+  
+  const target = players.get(spectateTargetId);
+  document.getElementById('pieceInfo').textContent = target
+    ? `Spectating: ${target.type.charAt(0).toUpperCase() + target.type.slice(1)} (${target.team})`
+    : 'Spectating';
+  
+  const totals = { white: 0, black: 0 };
+  Object.values(lastServerPlayers).forEach(p => {
+    if (p && p.hp > 0 && totals[p.team] !== undefined) {
+      totals[p.team] += p.hp;
+    }
   });
+  document.getElementById('teamTotals').textContent = 
+    `White HP: ${totals.white} | Black HP: ${totals.black}`;
+}
+
+// Show a short-lived message in the player HUD
+let statusMessageTimeout = null;
+function showStatusMessage(text) {
+  const statusElement = document.getElementById('statusMessage');
+  if (!statusElement) return;
+  
+  statusElement.textContent = text;
+  clearTimeout(statusMessageTimeout);
+  statusMessageTimeout = setTimeout(() => {
+    statusElement.textContent = '';
+  }, 3000);
+}
+
+// Show the match result / countdown banner
+function showMatchBanner(title, subtitle) {
+  const banner = document.getElementById('matchBanner');
+  banner.innerHTML = '';
+  
+  const titleElement = document.createElement('div');
+  titleElement.textContent = title;
+  banner.appendChild(titleElement);
+  
+  if (subtitle) {
+    const subtitleElement = document.createElement('div');
+    subtitleElement.className = 'subtitle';
+    subtitleElement.textContent = subtitle;
+    banner.appendChild(subtitleElement);
+  }
+  
+  banner.style.display = 'block';
+}
+
+// Hide the match banner
+let countdownInterval = null;
+function hideMatchBanner() {
+  clearInterval(countdownInterval);
+  document.getElementById('matchBanner').style.display = 'none';
+}
+
+// Update the HUD and banner for a match phase
+let currentPhase = null;
+function handlePhaseChange(data) {
+  const previousPhase = currentPhase;
+  currentPhase = data.phase;
+  
+  const phaseElement = document.getElementById('phase');
+  
+  // Pending promotions, castling and check warnings are dropped when the match ends
+  if (data.phase !== 'inProgress' && data.phase !== 'overtime') {
+    hidePromotionPrompt();
+    hideCastlingPrompt();
+    document.getElementById('checkWarning').style.display = 'none';
+  }
+  
+  switch (data.phase) {
+    case 'waiting':
+      phaseElement.textContent = `Waiting for players (${data.players}/${data.minPlayers})`;
+      showMatchBanner('WAITING FOR PLAYERS', `${data.players}/${data.minPlayers} ready`);
+      break;
+    case 'countdown':
+      phaseElement.textContent = 'Get ready!';
+      startMatchCountdown(data.duration);
+      break;
+    case 'inProgress':
+      phaseElement.textContent = 'In progress';
+      hideMatchBanner();
+      if (previousPhase === 'countdown') {
+        game.reset();
+      }
+      break;
+    case 'overtime':
+      phaseElement.textContent = 'OVERTIME';
+      hideMatchBanner();
+      showStatusMessage('Overtime! Sudden death');
+      break;
+    case 'results':
+      // The matchEnd banner is already showing the outcome
+      phaseElement.textContent = 'Results';
+      break;
+  }
 }
 
+// Count down to the start of the next match
+function startMatchCountdown(seconds) {
+  clearInterval(countdownInterval);
+  
+  let remaining = Math.ceil(seconds);
+  showMatchBanner('GET READY', `Starting in ${remaining}`);
+  
+  countdownInterval = setInterval(() => {
+    remaining--;
+    if (remaining <= 0) {
+      clearInterval(countdownInterval);
+      return;
+    }
+    showMatchBanner('GET READY', `Starting in ${remaining}`);
+  }, 1000);
+}
+
+// Show the lobby panel and request a fresh match list
+function showLobby() {
+  document.getElementById('lobby').style.display = 'block';
+  document.getElementById('lobbyMessage').textContent = '';
+  socket.emit('listMatches');
+  loadReplayList();
+}
+
+// Hide the lobby panel
+function hideLobby() {
+  document.getElementById('lobby').style.display = 'none';
+}
+
+// Render the list of open matches in the lobby
+function renderMatchList(matches) {
+  const list = document.getElementById('matchList');
+  list.innerHTML = '';
+  
+  if (matches.length === 0) {
+    list.textContent = 'No open matches - create one!';
+    return;
+  }
+  
+  matches.forEach(match => {
+    const row = document.createElement('div');
+    row.className = 'match-row';
+    
+    const label = document.createElement('span');
+    const mode = match.mode === 'ffa' ? 'Free-for-All' : 'Team';
+    const phase = match.phase === 'waiting' ? 'waiting' : 'playing';
+    label.textContent = `${match.name} - ${mode}, ${phase} (${match.players}/${match.maxPlayers})`;
+    if (match.spectators > 0) {
+      label.textContent += `, ${match.spectators} watching`;
+    }
+    row.appendChild(label);
+    
+    const joinButton = document.createElement('button');
+    joinButton.textContent = 'Join';
+    joinButton.disabled = match.players >= match.maxPlayers;
+    joinButton.addEventListener('click', () => {
+      socket.emit('joinMatch', { matchId: match.id });
+    });
+    row.appendChild(joinButton);
+    
+    // Anyone can watch, even when the match is full
+    const watchButton = document.createElement('button');
+    watchButton.textContent = 'Watch';
+    watchButton.addEventListener('click', () => {
+      socket.emit('joinMatch', { matchId: match.id, spectate: true });
+    });
+    row.appendChild(watchButton);
+    
+    list.appendChild(row);
+  });
+}
+
+// Fetch the recorded matches and list them in the lobby
+function loadReplayList() {
+  fetch('/api/replays')
+    .then(response => response.json())
+    .then(renderReplayList)
+    .catch(error => console.error('Error loading replays:', error));
+}
+
+// Render the list of recorded matches in the lobby
+function renderReplayList(replays) {
+  const list = document.getElementById('replayList');
+  list.innerHTML = '';
+  
+  if (replays.length === 0) {
+    list.textContent = 'No recorded matches yet';
+    return;
+  }
+  
+  replays.slice(0, 10).forEach(entry => {
+    const row = document.createElement('div');
+    row.className = 'match-row';
+    
+    const label = document.createElement('span');
+    label.textContent = new Date(entry.modified).toLocaleString();
+    row.appendChild(label);
+    
+    const watchButton = document.createElement('button');
+    watchButton.textContent = 'Replay';
+    watchButton.addEventListener('click', () => startReplay(entry.name));
+    row.appendChild(watchButton);
+    
+    // Download the match as PGN-style notation
+    const notationButton = document.createElement('button');
+    notationButton.textContent = 'PGN';
+    notationButton.addEventListener('click', () => {
+      window.location.href = `/api/replays/${encodeURIComponent(entry.name)}/notation`;
+    });
+    row.appendChild(notationButton);
+    
+    list.appendChild(row);
+  });
+}
+
+// Load a recorded match and play it back on the board
+function startReplay(name) {
+  fetch(`/api/replays/${encodeURIComponent(name)}`)
+    .then(response => {
+      if (!response.ok) throw new Error(`Replay not found: ${name}`);
+      return response.text();
+    })
+    .then(text => {
+      hideLobby();
+      clearPieces();
+      game.reset();
+      currentPhase = null;
+      
+      replay = new ReplayPlayer(parseReplay(text), {
+        onReset: handleReplayReset,
+        onEntry: handleReplayEntry,
+        onPlayers: applyServerPlayers
+      });
+      
+      document.getElementById('phase').textContent =
+        `Replay: ${replay.header.name || 'Match'}`;
+      document.getElementById('replayControls').style.display = 'flex';
+      enterSpectatorMode();
+      replay.seek(0);
+      replay.play();
+    })
+    .catch(error => {
+      console.error('Error loading replay:', error);
+      document.getElementById('lobbyMessage').textContent = 'That replay could not be loaded';
+    });
+}
+
+// Leave the replay and return to the lobby
+function stopReplay() {
+  replay = null;
+  clearPieces();
+  game.reset();
+  hideMatchBanner();
+  exitSpectatorMode();
+  document.getElementById('replayControls').style.display = 'none';
+  showLobby();
+}
+
+// Redraw the whole board after the replay jumps to a new time
+function handleReplayReset(state) {
+  game.reset();
+  game.syncState({
+    time: replay.time / 1000,
+    loot: Array.from(state.loot.values()),
+    entities: Array.from(state.entities.values())
+  });
+  applyServerPlayers(state.players);
+  
+  if (state.result) {
+    showReplayResult(state);
+  } else {
+    hideMatchBanner();
+  }
+}
+
+// Show the effects of a replayed entry
+function handleReplayEntry(entry, state) {
+  switch (entry.type) {
+    case 'event':
+      game.handleEventStart(entry);
+      break;
+    case 'lootSpawn':
+      game.handleLootSpawn(state.loot.get(entry.lootId));
+      break;
+    case 'lootCollect':
+      game.handleLootCollect(entry);
+      break;
+    case 'entityUpdate':
+      game.handleEntityUpdate(entry.entity);
+      break;
+    case 'matchEnd':
+      showReplayResult(state);
+      break;
+  }
+}
+
+// Show the outcome of the replayed match
+function showReplayResult(state) {
+  const { winner, reason } = state.result;
+  let title = 'DRAW';
+  
+  if (replay.header.mode === 'ffa' && winner) {
+    const piece = state.players[winner];
+    title = piece ? `${piece.team.toUpperCase()} ${piece.type.toUpperCase()} WINS` : 'WINNER';
+  } else if (winner) {
+    title = `${winner.toUpperCase()} WINS`;
+  }
+  
+  showMatchBanner(title, matchEndReasons[reason] || reason);
+}
+
+// Format replay milliseconds as m:ss
+function formatReplayTime(milliseconds) {
+  const totalSeconds = Math.floor(milliseconds / 1000);
+  const seconds = totalSeconds % 60;
+  return `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+}
+
+// Keep the replay controls in step with playback
+function updateReplayControls() {
+  document.getElementById('replayPlay').textContent = replay.playing ? 'Pause' : 'Play';
+  document.getElementById('replayTime').textContent =
+    `${formatReplayTime(replay.time)} / ${formatReplayTime(replay.duration)}`;
+  
+  if (!replaySeeking) {
+    const progress = replay.duration > 0 ? replay.time / replay.duration : 0;
+    document.getElementById('replaySeek').value = Math.round(progress * 1000);
+  }
+}
+
+document.getElementById('replayPlay').addEventListener('click', () => {
+  if (replay) replay.togglePlay();
+});
+
+document.getElementById('replaySeek').addEventListener('pointerdown', () => {
+  replaySeeking = true;
+});
+
+document.getElementById('replaySeek').addEventListener('pointerup', () => {
+  replaySeeking = false;
+});
+
+document.getElementById('replaySeek').addEventListener('input', (e) => {
+  if (replay) replay.seek(e.target.value / 1000 * replay.duration);
+});
+
+document.getElementById('replaySpeed').addEventListener('change', (e) => {
+  if (replay) replay.setSpeed(parseFloat(e.target.value));
+});
+
+document.getElementById('replayExit').addEventListener('click', () => {
+  if (replay) stopReplay();
+});
+
+// Create a new match from the lobby
+document.getElementById('createMatch').addEventListener('click', () => {
+  if (!socket) return;
+  
+  const name = document.getElementById('matchName').value;
+  const mode = document.getElementById('matchMode').value;
+  const fen = document.getElementById('matchFen').value.trim();
+  socket.emit('createMatch', { name, mode, fen });
+});
+
 // Game state for player movement
 const playerMovement = {
   moveDirection: new THREE.Vector3(),
   moving: false,
   keysPressed: { w: false, a: false, s: false, d: false },
-  targetPosition: null
+  targetPosition: null,
+  nextMoveTime: 0,  // performance.now() when the move cooldown is over
+  rootedUntil: 0    // performance.now() when a Vine Trap lets go of us
 };
 
+// Inventory items, and the slot being aimed with the mouse
+const INVENTORY_SLOTS = 3;
+const itemNames = {
+  doubleMove: 'Double Move',
+  vineTrap: 'Vine Trap'
+};
+const aimedItems = ['vineTrap'];
+let inventory = [];
+let bonusMoves = 0;
+let aimingSlot = null;
+const raycaster = new THREE.Raycaster();
+
+// Our piece when it is selected for a click-to-move, and the moves it can make
+const moveHighlightColors = {
+  selected: 0x806000,
+  quiet: 0x1F7A3A,
+  capture: 0x8A1F1F
+};
+let selectedMoves = null;
+
+// Check whether a key press is going into a text field
+function isTextInput(element) {
+  return element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement ||
+    (element instanceof HTMLElement && element.isContentEditable);
+}
+
+// Switch the spectator view between pieces
+document.addEventListener('keydown', (e) => {
+  if (!isSpectating || isTextInput(e.target)) return;
+  
+  if (e.key === 'q') cycleSpectateTarget(-1);
+  if (e.key === 'e') cycleSpectateTarget(1);
+  
+  // Space pauses a replay
+  if (e.key === ' ' && replay) replay.togglePlay();
+});
+
 // Handle player movement with keyboard
 document.addEventListener('keydown', (e) => {
-  // Only track the keys we care about
-  if (!['w', 'a', 's', 'd', ' '].includes(e.key)) return;
+  // Spectators only watch
+  if (isSpectating) return;
+  
+  // Typing in the lobby or nickname fields is not a command
+  if (isTextInput(e.target)) return;
+  
+  // Kings castle with Shift + A / D (by key position, so Caps Lock is not Shift)
+  if (e.shiftKey && (e.code === 'KeyA' || e.code === 'KeyD')) {
+    castle(e.code === 'KeyD' ? 1 : -1);
+    return;
+  }
+  
+  // Number keys use the items in the inventory
+  const slotKey = Number(e.key);
+  if (Number.isInteger(slotKey) && slotKey >= 1 && slotKey <= INVENTORY_SLOTS) {
+    useInventorySlot(slotKey - 1);
+    return;
+  }
+  
+  if (e.key === 'Escape' && selectedMoves) {
+    clearMoveSelection();
+    return;
+  }
+  
+  if (e.key === 'Escape' && aimingSlot !== null) {
+    aimingSlot = null;
+    showStatusMessage('Item cancelled');
+    return;
+  }
+  
+  // Only track the keys we care about, whether or not Caps Lock is on
+  const key = e.key.toLowerCase();
+  if (!['w', 'a', 's', 'd', ' '].includes(key)) return;
   
   // Return if socket not initialized
   if (!socket) return;
@@ -245,51 +1280,312 @@ document.addEventListener('keydown', (e) => {
   const player = players.get(socket.id);
   if (!player) return;
   
-  if (e.key === 'w' || e.key === 'a' || e.key === 's' || e.key === 'd') {
+  if (key === 'w' || key === 'a' || key === 's' || key === 'd') {
     // Track key state
-    playerMovement.keysPressed[e.key] = true;
+    playerMovement.keysPressed[key] = true;
     
     // Calculate movement direction
     updateMoveDirection();
   }
   
-  // Use ability with spacebar
+  // Use ability with spacebar, aimed at the square under the mouse
   if (e.key === ' ') {
     const currentPos = player.mesh.position.clone();
     const boardX = Math.round(currentPos.x + 3.5);
     const boardZ = Math.round(currentPos.z + 3.5);
     
-    const targetPos = { 
-      x: currentPos.x, 
-      z: currentPos.z + 1 
-    };
+    // Without a square under the mouse, aim one square ahead
+    const target = hoveredSquare || { x: boardX, z: boardZ + 1 };
+    const targetPos = boardToScene(target.x, target.z);
     
     // Visual feedback for ability usage
     player.useAbility(targetPos);
     
-    // Send to server
-    socket.emit('ability', { 
-      id: socket.id, 
-      target: { 
-        x: boardX, 
-        z: boardZ + 1 
-      }, 
-      damage: player.getAbilityDamage() 
-    });
+    // Send to server (damage, range, area and cooldown are resolved there)
+    socket.emit('ability', { target });
   }
 });
 
 document.addEventListener('keyup', (e) => {
   // Only track the keys we care about
-  if (!['w', 'a', 's', 'd'].includes(e.key)) return;
+  const key = e.key.toLowerCase();
+  if (!['w', 'a', 's', 'd'].includes(key)) return;
   
   // Reset key state
-  playerMovement.keysPressed[e.key] = false;
+  playerMovement.keysPressed[key] = false;
   
   // Update movement direction
   updateMoveDirection();
 });
 
+// Use the item in an inventory slot, or start aiming it
+function useInventorySlot(slot) {
+  if (!socket || isSpectating) return;
+  
+  const item = inventory[slot];
+  if (!item) {
+    showStatusMessage('That slot is empty');
+    return;
+  }
+  
+  // Aimed items wait for a click on the board
+  if (aimedItems.includes(item.type)) {
+    aimingSlot = slot;
+    showStatusMessage(`Click an enemy pawn within 3 squares to use ${itemNames[item.type]} (Esc to cancel)`);
+    return;
+  }
+  
+  socket.emit('useItem', { slot });
+}
+
+// Fill the HUD inventory slots
+function renderInventory(items) {
+  inventory = items;
+  
+  // Slots shift when an item is used, so a slot being aimed may be gone
+  if (aimingSlot !== null && !aimedItems.includes((inventory[aimingSlot] || {}).type)) {
+    aimingSlot = null;
+  }
+  
+  const container = document.getElementById('inventory');
+  container.innerHTML = '';
+  
+  for (let slot = 0; slot < INVENTORY_SLOTS; slot++) {
+    const item = inventory[slot];
+    const element = document.createElement('div');
+    element.className = item ? `inventorySlot ${item.type}` : 'inventorySlot';
+    element.textContent = `${slot + 1}: ${item ? itemNames[item.type] || item.type : '-'}`;
+    container.appendChild(element);
+  }
+}
+
+// Find the board square under the mouse, preferring a piece's own square
+function getSquareUnderPointer(event) {
+  const pointer = new THREE.Vector2(
+    (event.clientX / window.innerWidth) * 2 - 1,
+    -(event.clientY / window.innerHeight) * 2 + 1
+  );
+  raycaster.setFromCamera(pointer, camera);
+  
+  // Pieces stand above the board, so a hit on one is its square
+  const meshes = Array.from(players.values()).map(piece => piece.mesh);
+  for (const hit of raycaster.intersectObjects(meshes, true)) {
+    let object = hit.object;
+    while (object && object.userData.pieceId === undefined) {
+      object = object.parent;
+    }
+    
+    const record = object && lastServerPlayers[object.userData.pieceId];
+    if (record && record.position) {
+      return { x: record.position.x, z: record.position.z };
+    }
+  }
+  
+  // Otherwise use the board tile under the mouse (or one of its decorations)
+  const tiles = map.userData.tiles.flat();
+  for (const hit of raycaster.intersectObjects(tiles, true)) {
+    let object = hit.object;
+    while (object && !object.userData.square) {
+      object = object.parent;
+    }
+    
+    if (object) {
+      return { ...object.userData.square };
+    }
+  }
+  
+  return null;
+}
+
+// Dragging the camera ends in a click too, so remember where the press started
+let pointerDownAt = null;
+renderer.domElement.addEventListener('pointerdown', (event) => {
+  pointerDownAt = { x: event.clientX, y: event.clientY };
+});
+
+// Send an aimed item at the clicked square, or select and move our piece
+renderer.domElement.addEventListener('click', (event) => {
+  if (pointerDownAt &&
+      Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y) > 5) {
+    return;
+  }
+  
+  const target = getSquareUnderPointer(event);
+  
+  if (aimingSlot === null) {
+    handleBoardClick(target);
+    return;
+  }
+  
+  if (!target) {
+    showStatusMessage('Aim at a square on the board');
+    return;
+  }
+  
+  socket.emit('useItem', { slot: aimingSlot, target });
+  aimingSlot = null;
+});
+
+// Select our piece, move it to a highlighted square, or drop the selection
+function handleBoardClick(square) {
+  const record = socket && lastServerPlayers[socket.id];
+  if (!square || !record || !record.position || isSpectating || replay) {
+    clearMoveSelection();
+    return;
+  }
+  
+  // Clicking our own piece toggles its valid moves
+  if (square.x === record.position.x && square.z === record.position.z) {
+    if (selectedMoves) {
+      clearMoveSelection();
+    } else {
+      selectPiece();
+    }
+    return;
+  }
+  
+  const move = selectedMoves && selectedMoves.find(m => m.x === square.x && m.z === square.z);
+  clearMoveSelection();
+  if (move) {
+    requestMove(square);
+  }
+}
+
+// Highlight where our piece can move, telling captures from quiet moves
+function selectPiece() {
+  const record = lastServerPlayers[socket.id];
+  if (!record || record.hp <= 0 || record.respawning) return;
+  
+  // Pieces can share a square without classic capture, so make sure ours is
+  // the one the rules look at, and judge captures the way the match does
+  chessRules.updatePiecePosition(socket.id, record.position);
+  chessRules.setCaptureRule(game.settings);
+  
+  selectedMoves = chessRules.getLegalMoves(record.position);
+  if (selectedMoves.length === 0) {
+    selectedMoves = null;
+    showStatusMessage('Your piece has no valid moves');
+    return;
+  }
+  
+  setTileHighlight(map, record.position, moveHighlightColors.selected);
+  // Like the server, only en passant captures unless classic capture is on
+  selectedMoves.forEach(move => {
+    const captures = move.enPassant ||
+      (game.settings.classicCapture && chessRules.getCapturedPiece(record.position, move));
+    setTileHighlight(map, move, captures ? moveHighlightColors.capture : moveHighlightColors.quiet);
+  });
+}
+
+// Recompute the highlighted moves after the board changed
+function refreshMoveSelection() {
+  if (!selectedMoves) return;
+  
+  clearMoveSelection();
+  selectPiece();
+}
+
+// Remove the click-to-move highlights
+function clearMoveSelection() {
+  if (!selectedMoves) return;
+  
+  map.userData.tiles.flat().forEach(tile => setTileHighlight(map, tile.userData.square, null));
+  selectedMoves = null;
+}
+
+// Send a move for our piece once the cooldown and any Vine Trap allow it
+function requestMove(square) {
+  const player = players.get(socket.id);
+  if (!player || !startMoveCooldown()) {
+    showStatusMessage('Your piece cannot move yet');
+    return;
+  }
+  
+  const scenePos = boardToScene(square.x, square.z);
+  playerMovement.targetPosition = new THREE.Vector3(scenePos.x, 1, scenePos.z);
+  
+  socket.emit('move', { position: { x: square.x, z: square.z } });
+}
+
+// Start the move cooldown if a move can be made now (a Double Move skips the cooldown)
+function startMoveCooldown() {
+  const now = performance.now();
+  if (now < playerMovement.rootedUntil) return false;
+  if (now < playerMovement.nextMoveTime) {
+    if (bonusMoves <= 0) return false;
+    bonusMoves--;
+  }
+  playerMovement.nextMoveTime = now + game.settings.moveCooldown * 1000;
+  return true;
+}
+
+// Tiles showing where our ability would land, and the square being aimed at
+const abilityPreview = new THREE.Group();
+const abilityPreviewGeometry = new THREE.BoxGeometry(0.94, 0.02, 0.94);
+const abilityPreviewColors = {
+  ready: 0xFF8C42,
+  outOfRange: 0xC0392B
+};
+let hoveredSquare = null;
+scene.add(abilityPreview);
+
+renderer.domElement.addEventListener('mousemove', (event) => {
+  hoveredSquare = getSquareUnderPointer(event);
+});
+
+renderer.domElement.addEventListener('mouseleave', () => {
+  hoveredSquare = null;
+});
+
+// Highlight the squares our ability would hit if it were used now
+function updateAbilityPreview() {
+  const player = socket && players.get(socket.id);
+  const record = socket && lastServerPlayers[socket.id];
+  
+  // Nothing to aim while watching, aiming an item or out of the fight
+  if (!player || !record || !record.position || !hoveredSquare || isSpectating || replay ||
+      aimingSlot !== null || record.hp <= 0 || record.respawning) {
+    abilityPreview.visible = false;
+    return;
+  }
+  
+  const ability = player.getAbilityDetails();
+  const squares = getAffectedSquares(player.type, record.position, hoveredSquare, ability.range);
+  const inRange = isAimInRange(player.type, record.position, hoveredSquare, ability.range);
+  
+  // Add tiles as bigger areas need them
+  while (abilityPreview.children.length < squares.length) {
+    const material = new THREE.MeshBasicMaterial({ transparent: true, depthWrite: false });
+    abilityPreview.add(new THREE.Mesh(abilityPreviewGeometry, material));
+  }
+  
+  abilityPreview.children.forEach((tile, i) => {
+    tile.visible = i < squares.length;
+    if (!tile.visible) return;
+    
+    const position = boardToScene(squares[i].x, squares[i].z);
+    tile.position.set(position.x, 0.07, position.z);
+    tile.material.color.setHex(inRange ? abilityPreviewColors.ready : abilityPreviewColors.outOfRange);
+    
+    // Fainter while the ability recharges
+    tile.material.opacity = player.cooldown > 0 ? 0.2 : 0.45;
+  });
+  
+  abilityPreview.visible = true;
+}
+
+// Ask to move our king two squares towards a rook
+function castle(direction) {
+  if (!socket) return;
+  
+  const player = players.get(socket.id);
+  if (!player || player.type !== 'king') return;
+  
+  const boardX = Math.round(player.mesh.position.x + 3.5);
+  const boardZ = Math.round(player.mesh.position.z + 3.5);
+  socket.emit('move', { position: { x: boardX + 2 * direction, z: boardZ } });
+}
+
 // Update player movement direction based on keys pressed
 function updateMoveDirection() {
   playerMovement.moveDirection.set(0, 0, 0);
@@ -310,7 +1606,8 @@ function updateMoveDirection() {
 
 // Updates player position based on current movement
 function updatePlayerPosition(delta) {
-  if (!socket || !playerMovement.moving) return;
+  // Keep sliding towards a clicked square after the keys are released
+  if (!socket || (!playerMovement.moving && !playerMovement.targetPosition)) return;
   
   const player = players.get(socket.id);
   if (!player) return;
@@ -333,13 +1630,15 @@ function updatePlayerPosition(delta) {
       return; // Out of bounds
     }
     
+    // Wait out a Vine Trap and the move cooldown
+    if (!startMoveCooldown()) return;
+    
     // Set target position
     const scenePos = boardToScene(newBoardX, newBoardZ);
     playerMovement.targetPosition = new THREE.Vector3(scenePos.x, 1, scenePos.z);
     
     // Send move to server (only when we start moving to a new position)
     socket.emit('move', { 
-      id: socket.id, 
       position: { x: newBoardX, z: newBoardZ }
     });
   }
@@ -395,8 +1694,7 @@ function updateHealthUI(time) {
       }
       
       // Update cooldown
-      const ability = playerPiece.getAbilityDetails();
-      updateCooldownUI(playerPiece.cooldown, ability.cooldown);
+      updateCooldownUI(playerPiece.cooldown, playerPiece.cooldownLength);
     }
   } catch (error) {
     console.error("Error updating health UI:", error);
@@ -467,11 +1765,18 @@ function animate(timestamp) {
   // Update time
   time += cappedDelta;
   
-  // Update game logic
-  game.update(cappedDelta);
+  // Update game logic (the match clock only runs while the match is live)
+  if (replay) {
+    replay.update(cappedDelta);
+    game.time = replay.time / 1000;
+    updateReplayControls();
+  } else if (currentPhase === 'inProgress' || currentPhase === 'overtime') {
+    game.update(cappedDelta);
+  }
   
   // Update player position based on movement
   updatePlayerPosition(cappedDelta);
+  updateAbilityPreview();
   
   // Update UI (throttled)
   updateHealthUI(time);
@@ -497,6 +1802,11 @@ function animate(timestamp) {
     }
   });
   
+  // Keep the spectator camera on the watched piece
+  if (isSpectating && players.has(spectateTargetId)) {
+    controls.target.lerp(players.get(spectateTargetId).mesh.position, 0.1);
+  }
+  
   // Update controls
   controls.update();
   
@@ -511,8 +1821,5 @@ window.addEventListener('resize', () => {
   renderer.setSize(window.innerWidth, window.innerHeight);
 });
 
-// Export traditional positions for other modules to use
-window.traditionalPositions = traditionalPositions;
-
 // Start animation loop with timestamp
 animate(0);
\ No newline at end of file
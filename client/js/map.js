@@ -1,7 +1,18 @@
 import * as THREE from 'three';
 
+// Convert board coordinates (0-7) to scene coordinates (-3.5 to 3.5)
+export function boardToScene(boardX, boardZ) {
+  return {
+    x: boardX - 3.5,
+    z: boardZ - 3.5
+  };
+}
+
+// Create the board and its surroundings. The board's tiles are kept in
+// map.userData.tiles[x][z] so they can be highlighted later.
 export function createMap() {
   const map = new THREE.Group();
+  map.userData.tiles = [];
   
   // Create the chess board base
   createChessBoard(map);
@@ -12,6 +23,15 @@ export function createMap() {
   return map;
 }
 
+// Tint a board tile to highlight it, or pass null to clear the highlight
+export function setTileHighlight(map, square, color) {
+  const column = map.userData.tiles[square.x];
+  const tile = column && column[square.z];
+  if (!tile) return;
+  
+  tile.material.emissive.setHex(color === null ? 0x000000 : color);
+}
+
 // Create the chess board with alternating colors
 function createChessBoard(map) {
   const boardSize = 8;
@@ -39,6 +59,11 @@ function createChessBoard(map) {
         z - (boardSize / 2) + 0.5
       );
       
+      // Keep the tile addressable by its board square
+      tile.userData.square = { x, z };
+      if (!map.userData.tiles[x]) map.userData.tiles[x] = [];
+      map.userData.tiles[x][z] = tile;
+      
       // Make tile receive shadows
       tile.receiveShadow = true;
       
@@ -2,6 +2,20 @@
 
 import * as THREE from 'three';
 
+// Ability stats by piece type, as sent by the server with the game state
+let abilityTable = {};
+
+// Stand-in until the server's table arrives
+const unknownAbility = { name: 'Ability', damage: 0, cooldown: 0, range: 1 };
+
+/**
+ * Use the server's ability table for every piece
+ * @param {Object} abilities - Ability definitions by piece type
+ */
+export function setAbilityTable(abilities) {
+  abilityTable = abilities || {};
+}
+
 // Pre-create shared materials and geometries for better performance
 const materialCache = {
   white: {},
@@ -24,7 +38,19 @@ const sharedGeometry = {
   effectSphere: new THREE.SphereGeometry(0.3, 6, 6),
   effectBox: new THREE.BoxGeometry(0.5, 0.5, 0.5),
   effectCone: new THREE.ConeGeometry(0.3, 0.6, 6),
-  effectCircle: new THREE.CircleGeometry(0.5, 12)
+  effectCircle: new THREE.CircleGeometry(0.5, 12),
+  shieldBubble: new THREE.SphereGeometry(1.1, 12, 8),
+  rootRing: new THREE.TorusGeometry(0.7, 0.08, 6, 16),
+  auraRing: new THREE.RingGeometry(1.2, 1.4, 24),
+  surgeIcon: new THREE.OctahedronGeometry(0.15, 0)
+};
+
+// How each status effect from the server is shown on a piece
+const statusEffectVisuals = {
+  petalShield: { geometry: 'shieldBubble', color: 0xFF007F, opacity: 0.25, y: 0 }, // Vivid Magenta
+  rooted: { geometry: 'rootRing', color: 0xCCFF00, opacity: 0.8, y: -0.9, flat: true }, // Electric Lime
+  royalAura: { geometry: 'auraRing', color: 0xFFD700, opacity: 0.5, y: -0.9, flat: true, spin: 1 }, // Gold
+  surge: { geometry: 'surgeIcon', color: 0x00FFC1, opacity: 0.9, y: 1.6, spin: 2 } // Neon Teal
 };
 
 // Initialize the shared materials
@@ -93,12 +119,16 @@ export class ChessPiece {
     // Set health points based on piece type
     this.hp = this.getInitialHP();
     
-    // Initialize ability cooldown
+    // Initialize ability cooldown, and how long the current one lasts
     this.cooldown = 0;
+    this.cooldownLength = 0;
     
     // Initialize any visual effects
     this.effects = [];
     
+    // Meshes for the status effects the server reports, by effect type
+    this.statusEffects = new Map();
+    
     // Set up wobble animation parameters
     this.wobbleOffset = Math.random() * Math.PI * 2; // Random phase offset
     this.wobbleHeight = 0.05 + Math.random() * 0.02; // Slight height variation
@@ -127,6 +157,33 @@ export class ChessPiece {
     return hpMap[this.type.toLowerCase()] || 5;
   }
 
+  /**
+   * Change the piece into another type, e.g. when a pawn is promoted
+   * @param {string} type - The new piece type
+   */
+  setType(type) {
+    const oldMesh = this.mesh;
+    
+    this.type = type || 'pawn';
+    this.mesh = this.createShape(this.type, this.team);
+    this.mesh.position.copy(oldMesh.position);
+    this.mesh.userData = { ...oldMesh.userData, type: this.type };
+    
+    // Status effects stay on the piece
+    this.statusEffects.forEach(effectMesh => this.mesh.add(effectMesh));
+    
+    // Swap the meshes in the scene
+    const parent = oldMesh.parent;
+    if (parent) {
+      parent.remove(oldMesh);
+      parent.add(this.mesh);
+    }
+    
+    // The new type starts with full HP and a ready ability
+    this.hp = this.getInitialHP();
+    this.cooldown = 0;
+  }
+
   /**
    * Create the 3D shape for this chess piece
    */
@@ -278,8 +335,9 @@ export class ChessPiece {
     // Get ability details based on piece type
     const ability = this.getAbilityDetails();
     
-    // Set cooldown timer
-    this.cooldown = ability.cooldown;
+    // Set cooldown timer (the server confirms the real length, which
+    // effects like the late game surge can shorten)
+    this.setCooldown(ability.cooldown);
     
     // Create visual effect for ability
     this.createAbilityEffect(targetPos);
@@ -289,22 +347,22 @@ export class ChessPiece {
   }
   
   /**
-   * Get ability details based on piece type
+   * Start an ability cooldown
+   * @param {number} seconds - How long the cooldown lasts
+   */
+  setCooldown(seconds) {
+    this.cooldown = seconds;
+    this.cooldownLength = seconds;
+  }
+  
+  /**
+   * Get ability details based on piece type, from the server's table
    */
   getAbilityDetails() {
     // Ensure type is defined with a default
     const pieceType = this.type ? this.type.toLowerCase() : 'pawn';
     
-    const abilityMap = {
-      'pawn': { name: 'Hop Attack', damage: 2, cooldown: 5 },
-      'rook': { name: 'Rock Smash', damage: 3, cooldown: 10 },
-      'knight': { name: 'Tail Whip', damage: 1, cooldown: 8 },
-      'bishop': { name: 'Leaf Gust', damage: 2, cooldown: 7 },
-      'queen': { name: 'Petal Storm', damage: 3, cooldown: 12 },
-      'king': { name: 'Royal Aura', damage: 0, cooldown: 15, healing: 1 }
-    };
-    
-    return abilityMap[pieceType] || { name: 'Basic Attack', damage: 1, cooldown: 5 };
+    return abilityTable[pieceType] || unknownAbility;
   }
   
   /**
@@ -378,6 +436,51 @@ export class ChessPiece {
     }
   }
   
+  /**
+   * Show the status effects the server reports on this piece
+   * @param {Array} effects - Active effects [{type, remaining, ...}]
+   */
+  setStatusEffects(effects) {
+    const active = new Set(effects.map(effect => effect.type));
+    
+    // Remove effects that have ended
+    this.statusEffects.forEach((effectMesh, type) => {
+      if (!active.has(type)) {
+        this.mesh.remove(effectMesh);
+        effectMesh.material.dispose();
+        this.statusEffects.delete(type);
+      }
+    });
+    
+    // Add meshes for new effects
+    active.forEach(type => {
+      const visual = statusEffectVisuals[type];
+      if (!visual || this.statusEffects.has(type)) return;
+      
+      const effectMesh = new THREE.Mesh(
+        sharedGeometry[visual.geometry],
+        new THREE.MeshBasicMaterial({
+          color: visual.color,
+          transparent: true,
+          opacity: visual.opacity,
+          side: THREE.DoubleSide,
+          depthWrite: false
+        })
+      );
+      effectMesh.position.y = visual.y;
+      if (visual.flat) {
+        effectMesh.rotation.x = -Math.PI / 2;
+      }
+      
+      // Flat rings lie on their side, so they spin about their own z axis
+      effectMesh.userData.spin = visual.spin || 0;
+      effectMesh.userData.spinAxis = visual.flat ? 'z' : 'y';
+      
+      this.mesh.add(effectMesh);
+      this.statusEffects.set(type, effectMesh);
+    });
+  }
+  
   /**
    * Animate the piece and its effects
    * @param {number} delta - Time delta in seconds
@@ -390,6 +493,11 @@ export class ChessPiece {
     // Reduce cooldown
     this.cooldown = Math.max(0, this.cooldown - delta);
     
+    // Turn the spinning status effects
+    this.statusEffects.forEach(effectMesh => {
+      effectMesh.rotation[effectMesh.userData.spinAxis] += effectMesh.userData.spin * delta;
+    });
+    
     // Animate and clean up effects
     for (let i = this.effects.length - 1; i >= 0; i--) {
       const effect = this.effects[i];
@@ -0,0 +1,258 @@
+// replay.js - Plays back a recorded match from its JSON-lines replay file
+
+/**
+ * Parse the contents of a replay file
+ * @param {string} text - JSON-lines replay file contents
+ * @returns {Array} - Replay entries in file order
+ */
+export function parseReplay(text) {
+  return text
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * ReplayPlayer class to rebuild the board state of a recorded match at any
+ * point in time. Entries are replayed from the start snapshot, so seeking
+ * backwards rebuilds the state instead of undoing entries.
+ */
+export class ReplayPlayer {
+  /**
+   * @param {Array} entries - Parsed replay entries
+   * @param {Object} callbacks - Hooks for drawing the replay
+   * @param {Function} [callbacks.onReset] - Called with the full state after a seek
+   * @param {Function} [callbacks.onEntry] - Called for each entry played in order
+   * @param {Function} [callbacks.onPlayers] - Called with the player states after they change
+   */
+  constructor(entries, callbacks = {}) {
+    const start = entries.find(entry => entry.type === 'start');
+
+    this.header = entries.find(entry => entry.type === 'header') || {};
+    this.initialPlayers = start ? start.players : [];
+    this.entries = entries.filter(entry => entry.type !== 'header' && entry.type !== 'start');
+    this.duration = this.entries.length > 0 ? this.entries[this.entries.length - 1].time : 0;
+
+    this.onReset = callbacks.onReset || (() => {});
+    this.onEntry = callbacks.onEntry || (() => {});
+    this.onPlayers = callbacks.onPlayers || (() => {});
+
+    // Playback state (time in milliseconds since the match started)
+    this.time = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.nextIndex = 0;
+    this.state = null;
+
+    this.rebuild(0);
+  }
+
+  /**
+   * Start playing, from the beginning if the replay has finished
+   */
+  play() {
+    if (this.time >= this.duration) {
+      this.seek(0);
+    }
+    this.playing = true;
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    this.playing = false;
+  }
+
+  /**
+   * Toggle between playing and paused
+   */
+  togglePlay() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Set the playback speed
+   * @param {number} speed - Multiplier of real time
+   */
+  setSpeed(speed) {
+    if (speed > 0) {
+      this.speed = speed;
+    }
+  }
+
+  /**
+   * Jump to a point in the match
+   * @param {number} time - Milliseconds since the match started
+   */
+  seek(time) {
+    this.rebuild(time);
+    this.onReset(this.state);
+  }
+
+  /**
+   * Rebuild the replay state at a point in the match without reporting the entries
+   * @param {number} time - Milliseconds since the match started
+   */
+  rebuild(time) {
+    this.time = Math.min(Math.max(0, time), this.duration);
+    this.nextIndex = 0;
+
+    // Rebuild the board from the start snapshot
+    this.state = {
+      players: {},
+      loot: new Map(),
+      entities: new Map(),
+      result: null
+    };
+    this.initialPlayers.forEach(player => {
+      this.state.players[player.id] = { ...player, position: { ...player.position } };
+    });
+
+    this.advanceTo(this.time, false);
+  }
+
+  /**
+   * Advance playback
+   * @param {number} delta - Real seconds since the last update
+   */
+  update(delta) {
+    if (!this.playing) return;
+
+    this.time = Math.min(this.time + delta * 1000 * this.speed, this.duration);
+    this.advanceTo(this.time, true);
+
+    if (this.time >= this.duration) {
+      this.pause();
+    }
+  }
+
+  /**
+   * Apply every entry up to a point in time
+   * @param {number} time - Milliseconds since the match started
+   * @param {boolean} notify - Whether to report the entries as they are played
+   */
+  advanceTo(time, notify) {
+    let changed = false;
+
+    while (this.nextIndex < this.entries.length && this.entries[this.nextIndex].time <= time) {
+      const entry = this.entries[this.nextIndex++];
+      this.applyEntry(entry);
+      changed = true;
+
+      if (notify) {
+        this.onEntry(entry, this.state);
+      }
+    }
+
+    if (notify && changed) {
+      this.onPlayers(this.state.players);
+    }
+  }
+
+  /**
+   * Apply a single entry to the replay state
+   * @param {Object} entry - Replay entry
+   */
+  applyEntry(entry) {
+    const players = this.state.players;
+
+    switch (entry.type) {
+      case 'join':
+        players[entry.player.id] = { ...entry.player, position: { ...entry.player.position } };
+        break;
+
+      case 'leave':
+        delete players[entry.playerId];
+        break;
+
+      case 'sessionResume':
+        if (players[entry.previousId]) {
+          players[entry.playerId] = { ...players[entry.previousId], id: entry.playerId };
+          delete players[entry.previousId];
+        }
+        break;
+
+      case 'move':
+        if (players[entry.playerId]) {
+          players[entry.playerId].position = { ...entry.to };
+        }
+        // Castling brings the rook along
+        if (entry.castling && players[entry.castling.rookId]) {
+          players[entry.castling.rookId].position = { ...entry.castling.rookTo };
+        }
+        break;
+
+      case 'damage':
+      case 'ability':
+        if (players[entry.target]) {
+          const target = players[entry.target];
+          target.hp = entry.hp !== undefined ? entry.hp : target.hp - entry.damage;
+        }
+        break;
+
+      case 'heal':
+        if (players[entry.target]) {
+          players[entry.target].hp = entry.hp;
+        }
+        break;
+
+      case 'defeat':
+        if (players[entry.defeatedId]) {
+          players[entry.defeatedId].hp = 0;
+        }
+        break;
+
+      case 'respawn':
+        if (players[entry.playerId]) {
+          players[entry.playerId].position = { ...entry.position };
+          players[entry.playerId].hp = entry.hp;
+        }
+        break;
+
+      case 'promotion':
+        if (players[entry.playerId]) {
+          players[entry.playerId].type = entry.pieceType;
+          players[entry.playerId].hp = entry.hp;
+        }
+        break;
+
+      case 'event':
+        // King's Call heals every king
+        (entry.kings || []).forEach(king => {
+          if (players[king.id] && king.hp !== undefined) {
+            players[king.id].hp = king.hp;
+          }
+        });
+        break;
+
+      case 'lootSpawn':
+        this.state.loot.set(entry.lootId, {
+          id: entry.lootId,
+          type: entry.lootType,
+          position: entry.position
+        });
+        break;
+
+      case 'lootCollect':
+        this.state.loot.delete(entry.lootId);
+        break;
+
+      case 'entityUpdate':
+        if (entry.entity.hp > 0) {
+          this.state.entities.set(entry.entity.id, entry.entity);
+        } else {
+          this.state.entities.delete(entry.entity.id);
+        }
+        break;
+
+      case 'matchEnd':
+        this.state.result = { winner: entry.winner, reason: entry.reason };
+        break;
+    }
+  }
+}
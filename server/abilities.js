@@ -0,0 +1,38 @@
+// abilities.js - Server-side ability definitions for each piece type
+
+// Ability stats by piece type. Range is measured in squares from the caster
+// (Chebyshev distance, so diagonals count as one square). Abilities with an
+// effect put that status effect on the caster for `duration` seconds. The
+// squares each ability hits are worked out in shared/abilityAreas.js.
+const abilities = {
+  'pawn': { name: 'Hop Attack', damage: 2, cooldown: 5, range: 1 },
+  'rook': { name: 'Rock Smash', damage: 3, cooldown: 10, range: 3 },
+  'knight': { name: 'Tail Whip', damage: 1, cooldown: 8, range: 2 },
+  'bishop': { name: 'Leaf Gust', damage: 2, cooldown: 7, range: 3 },
+  'queen': { name: 'Petal Storm', damage: 3, cooldown: 12, range: 4 },
+  'king': { name: 'Royal Aura', damage: 0, cooldown: 15, range: 1, healing: 1, effect: 'royalAura', duration: 5 }
+};
+
+// Fallback for unknown piece types
+const basicAttack = { name: 'Basic Attack', damage: 1, cooldown: 5, range: 1 };
+
+/**
+ * Get the ability definition for a piece type
+ * @param {string} type - Piece type
+ * @returns {Object} - Ability definition {name, damage, cooldown, range}
+ */
+function getAbility(type) {
+  return abilities[type] || basicAttack;
+}
+
+/**
+ * Get the distance in squares between two board positions
+ * @param {Object} from - Start position {x, z}
+ * @param {Object} to - End position {x, z}
+ * @returns {number} - Chebyshev distance
+ */
+function getDistance(from, to) {
+  return Math.max(Math.abs(to.x - from.x), Math.abs(to.z - from.z));
+}
+
+module.exports = { abilities, getAbility, getDistance };
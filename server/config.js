@@ -0,0 +1,185 @@
+// config.js - Game settings loaded from config/game.json and changed at runtime
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Where the game settings are read from (GAME_CONFIG points elsewhere,
+// and a .yaml or .yml file is read as YAML)
+const CONFIG_FILE = process.env.GAME_CONFIG || path.join(__dirname, '../config/game.json');
+
+// Built-in settings, used for anything the config file leaves out
+const builtInSettings = {
+  mode: 'team', // 'team' is White vs. Black, 'ffa' makes every player their own faction
+  minPlayers: 2, // players needed before the countdown starts
+  maxPlayers: 32,
+  respawnEnabled: true,
+  respawnTime: 5, // seconds
+  moveCooldown: 0.5, // seconds a piece waits between moves (a Double Move skips it once)
+  friendlyFire: false,
+  classicCapture: false, // moving onto an enemy's square captures it, as in chess
+  captureDamage: 0, // damage a classic capture deals, or 0 to defeat the piece outright
+  overtimeEnabled: true, // play sudden-death overtime when time runs out on a tie
+  overtimeTime: 120, // seconds of overtime
+  resultsTime: 10, // seconds to show results before the next match
+  countdownTime: 10, // seconds of countdown before the next match starts
+  reconnectGraceTime: 30, // seconds a disconnected player's piece stays reserved
+  castlingRequestTime: 10, // seconds a rook's player has to agree to castling
+  gameLength: 900, // 15 minute game
+  eventInterval: 180, // 3 minutes between events
+  lootInterval: 120, // 2 minutes between loot drops
+  lateGameTime: 480 // 8 minutes until late game surge
+};
+
+// Settings that count players, which must be whole numbers of at least one
+const playerCountSettings = ['minPlayers', 'maxPlayers'];
+
+// Times a match cannot do without: at zero the match never ends on time,
+// the countdown is skipped, or events and loot drop every tick
+const positiveSettings = ['gameLength', 'countdownTime', 'eventInterval', 'lootInterval'];
+
+// The current defaults for new matches
+let gameSettings = { ...builtInSettings };
+
+/**
+ * Check a set of setting changes
+ * @param {Object} changes - Setting names and new values
+ * @param {Object} [current] - The settings the changes are made to
+ * @returns {Array} - Error messages, empty if every change is valid
+ */
+function validateSettings(changes, current = gameSettings) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return ['Settings must be an object'];
+  }
+
+  const errors = [];
+  Object.entries(changes).forEach(([name, value]) => {
+    const error = getSettingError(name, value);
+    if (error) {
+      errors.push(error);
+    }
+  });
+
+  // Settings that depend on each other are checked as they would end up
+  if (errors.length === 0) {
+    errors.push(...getCombinationErrors({ ...current, ...changes }));
+  }
+
+  return errors;
+}
+
+/**
+ * Check a single setting on its own
+ * @param {string} name - Setting name
+ * @param {*} value - New value
+ * @returns {string|null} - Error message, or null if the value is valid
+ */
+function getSettingError(name, value) {
+  if (!(name in builtInSettings)) {
+    return `Unknown setting: ${name}`;
+  } else if (typeof value !== typeof builtInSettings[name]) {
+    return `${name} must be a ${typeof builtInSettings[name]}`;
+  } else if (name === 'mode' && value !== 'team' && value !== 'ffa') {
+    return 'mode must be "team" or "ffa"';
+  } else if (playerCountSettings.includes(name) && (!Number.isInteger(value) || value < 1)) {
+    return `${name} must be a whole number of at least 1`;
+  } else if (typeof value === 'number' && (!Number.isFinite(value) || value < 0)) {
+    return `${name} must not be negative`;
+  } else if (positiveSettings.includes(name) && value <= 0) {
+    return `${name} must be more than 0`;
+  }
+
+  return null;
+}
+
+/**
+ * Check the settings that only work together
+ * @param {Object} settings - A complete set of settings
+ * @returns {Array} - Error messages, empty if the settings fit together
+ */
+function getCombinationErrors(settings) {
+  const errors = [];
+
+  // A match that needs more players than it takes never starts its countdown
+  if (settings.minPlayers > settings.maxPlayers) {
+    errors.push('minPlayers must not be more than maxPlayers');
+  }
+
+  return errors;
+}
+
+/**
+ * Read the settings file, as YAML or JSON by its extension
+ * @returns {Object} - Setting names and values from the file
+ * @throws {Error} - If the file cannot be read or does not hold settings
+ */
+function readConfigFile() {
+  const text = fs.readFileSync(CONFIG_FILE, 'utf8');
+  const settings = /\.ya?ml$/i.test(CONFIG_FILE) ? YAML.parse(text) : JSON.parse(text);
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`${CONFIG_FILE} does not hold a set of settings`);
+  }
+  return settings;
+}
+
+/**
+ * Load the game settings from the config file. Invalid or missing values
+ * fall back to the built-in settings.
+ */
+function loadGameConfig() {
+  let fileSettings;
+  try {
+    fileSettings = readConfigFile();
+  } catch (error) {
+    console.warn(`Using built-in game settings (${error.message})`);
+    return;
+  }
+
+  // Take each valid setting on its own so one typo does not discard the rest
+  const settings = { ...builtInSettings };
+  Object.entries(fileSettings).forEach(([name, value]) => {
+    const error = getSettingError(name, value);
+    if (error) {
+      console.warn(`Ignoring game setting: ${error}`);
+    } else {
+      settings[name] = value;
+    }
+  });
+
+  // Player limits that contradict each other both fall back to the built-in ones
+  const combinationErrors = getCombinationErrors(settings);
+  if (combinationErrors.length > 0) {
+    console.warn(`Ignoring game settings: ${combinationErrors.join(', ')}`);
+    playerCountSettings.forEach(name => {
+      settings[name] = builtInSettings[name];
+    });
+  }
+
+  gameSettings = settings;
+
+  console.log(`Loaded game settings from ${CONFIG_FILE}`);
+}
+
+/**
+ * Get the current default settings for new matches
+ * @returns {Object} - A copy of the settings
+ */
+function getGameSettings() {
+  return { ...gameSettings };
+}
+
+/**
+ * Change the default settings
+ * @param {Object} changes - Setting names and new values
+ * @returns {Array} - Error messages; nothing is changed if there are any
+ */
+function updateGameSettings(changes) {
+  const errors = validateSettings(changes);
+  if (errors.length === 0) {
+    gameSettings = { ...gameSettings, ...changes };
+  }
+  return errors;
+}
+
+module.exports = { loadGameConfig, getGameSettings, updateGameSettings, validateSettings };
@@ -0,0 +1,195 @@
+// effects.js - Timed status effects on pieces: shields, roots, auras and buffs
+
+const { getDistance } = require('./abilities');
+
+/**
+ * Status effect definitions. The stacking rule decides what happens when an
+ * effect is applied to a piece that already has it:
+ *   'refresh' - restart the existing effect's duration
+ *   'extend'  - add the new duration to the existing effect
+ *   'stack'   - keep another copy, up to maxStacks
+ *   'ignore'  - keep the existing effect as it is
+ * Effects with a tickInterval call onTick that often (in seconds) while they
+ * last. onTick returns whether it changed any piece.
+ */
+const effectTypes = {
+  // Blocks the next capture or hit
+  'petalShield': { name: 'Petal Shield', stacking: 'refresh' },
+
+  // Caught in a Vine Trap and unable to move
+  'rooted': { name: 'Vine Trap', stacking: 'refresh' },
+
+  // Heals allies around the king
+  'royalAura': {
+    name: 'Royal Aura',
+    stacking: 'refresh',
+    tickInterval: 1,
+    onTick: healNearbyAllies
+  },
+
+  // Halves ability cooldowns for the rest of the match
+  'surge': { name: 'Late Game Surge', stacking: 'ignore', cooldownMultiplier: 0.5 }
+};
+
+/**
+ * Apply a status effect to a piece
+ * @param {Object} player - Player data
+ * @param {string} type - Effect type
+ * @param {Object} [options] - Effect options
+ * @param {string} [options.source] - ID of the piece, item or event that caused it
+ * @param {number} [options.duration] - Seconds the effect lasts, or nothing for until removed
+ * @param {Object} [options.data] - Extra values the effect's ticks use
+ * @returns {Object|null} - The new or updated effect, or null if it was ignored
+ */
+function applyEffect(player, type, options = {}) {
+  const definition = effectTypes[type];
+  if (!definition) return null;
+
+  const duration = options.duration === undefined ? null : options.duration;
+  const existing = player.effects.filter(effect => effect.type === type);
+
+  if (existing.length > 0) {
+    const current = existing[existing.length - 1];
+
+    switch (definition.stacking) {
+      case 'ignore':
+        return null;
+
+      case 'refresh':
+        Object.assign(current, { source: options.source || null, duration, remaining: duration, data: options.data || {} });
+        return current;
+
+      case 'extend':
+        if (current.remaining !== null && duration !== null) {
+          current.duration += duration;
+          current.remaining += duration;
+        }
+        return current;
+
+      case 'stack':
+        if (existing.length >= (definition.maxStacks || Infinity)) {
+          return null;
+        }
+        break;
+    }
+  }
+
+  const effect = {
+    type: type,
+    source: options.source || null,
+    duration: duration,
+    remaining: duration,
+    tickTimer: 0,
+    data: options.data || {}
+  };
+  player.effects.push(effect);
+
+  return effect;
+}
+
+/**
+ * Remove every copy of a status effect from a piece
+ * @param {Object} player - Player data
+ * @param {string} type - Effect type
+ * @returns {boolean} - Whether the piece had the effect
+ */
+function removeEffect(player, type) {
+  const count = player.effects.length;
+  player.effects = player.effects.filter(effect => effect.type !== type);
+  return player.effects.length < count;
+}
+
+/**
+ * Remove every status effect from a piece, e.g. when it is defeated
+ * @param {Object} player - Player data
+ */
+function clearEffects(player) {
+  player.effects = [];
+}
+
+/**
+ * Check whether a piece has a status effect
+ * @param {Object} player - Player data
+ * @param {string} type - Effect type
+ * @returns {boolean} - Whether the effect is active
+ */
+function hasEffect(player, type) {
+  return player.effects.some(effect => effect.type === type);
+}
+
+/**
+ * Count down a piece's status effects, run their ticks and drop the expired ones
+ * @param {Match} match - The match the piece is in
+ * @param {Object} player - Player data
+ * @param {number} delta - Seconds since the last update
+ * @returns {boolean} - Whether any piece changed
+ */
+function tickEffects(match, player, delta) {
+  let changed = false;
+
+  player.effects.forEach(effect => {
+    const definition = effectTypes[effect.type];
+
+    if (definition.tickInterval) {
+      effect.tickTimer += delta;
+      while (effect.tickTimer >= definition.tickInterval) {
+        effect.tickTimer -= definition.tickInterval;
+        if (definition.onTick(match, player, effect)) {
+          changed = true;
+        }
+      }
+    }
+
+    if (effect.remaining !== null) {
+      effect.remaining = Math.max(0, effect.remaining - delta);
+    }
+  });
+
+  const count = player.effects.length;
+  player.effects = player.effects.filter(effect => effect.remaining === null || effect.remaining > 0);
+
+  return changed || player.effects.length < count;
+}
+
+/**
+ * Get how much a piece's effects scale its ability cooldown
+ * @param {Object} player - Player data
+ * @returns {number} - Multiplier for the cooldown
+ */
+function getCooldownMultiplier(player) {
+  return player.effects.reduce((multiplier, effect) =>
+    multiplier * (effectTypes[effect.type].cooldownMultiplier || 1), 1);
+}
+
+/**
+ * Royal Aura tick: heal the king's allies within range
+ * @param {Match} match - The match the king is in
+ * @param {Object} king - The king's player data
+ * @param {Object} effect - The aura effect {data: {healing, range}}
+ * @returns {boolean} - Whether anyone was healed
+ */
+function healNearbyAllies(match, king, effect) {
+  if (king.hp <= 0 || king.respawning) return false;
+
+  let healed = false;
+  match.players.forEach(ally => {
+    if (ally !== king && ally.hp > 0 && !ally.respawning &&
+        !match.areEnemies(ally, king) &&
+        getDistance(ally.position, king.position) <= effect.data.range &&
+        match.healPlayer(ally, effect.data.healing, king)) {
+      healed = true;
+    }
+  });
+
+  return healed;
+}
+
+module.exports = {
+  effectTypes,
+  applyEffect,
+  removeEffect,
+  clearEffects,
+  hasEffect,
+  tickEffects,
+  getCooldownMultiplier
+};
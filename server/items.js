@@ -0,0 +1,40 @@
+// items.js - Loot items players carry in their inventory and use later
+
+// How many items a player can carry
+const INVENTORY_SLOTS = 3;
+
+// Loot types that go into the inventory. Petal Shield is worn as soon as it
+// is picked up, so it never takes a slot. Aimed items reach `range` squares.
+const items = {
+  'doubleMove': { name: 'Double Move', bonusMoves: 1 },
+  'vineTrap': { name: 'Vine Trap', targetType: 'pawn', range: 3 }
+};
+
+/**
+ * Check whether a loot type is kept in the inventory
+ * @param {string} type - Loot type
+ * @returns {boolean} - Whether the loot is an inventory item
+ */
+function isInventoryItem(type) {
+  return type in items;
+}
+
+/**
+ * Get the definition of an inventory item
+ * @param {string} type - Loot type
+ * @returns {Object|undefined} - Item definition {name, ...}
+ */
+function getItem(type) {
+  return items[type];
+}
+
+/**
+ * Check whether a player has room for another item
+ * @param {Object} player - Player data
+ * @returns {boolean} - Whether a slot is free
+ */
+function hasFreeSlot(player) {
+  return player.inventory.length < INVENTORY_SLOTS;
+}
+
+module.exports = { INVENTORY_SLOTS, items, isInventoryItem, getItem, hasFreeSlot };
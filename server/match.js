@@ -0,0 +1,1884 @@
+// match.js - State and rules for a single Chess Royale match
+
+const crypto = require('crypto');
+const { Simulation } = require('./simulation');
+const { abilities, getAbility, getDistance } = require('./abilities');
+const { getItem } = require('./items');
+const { applyEffect, removeEffect, clearEffects, hasEffect, getCooldownMultiplier } = require('./effects');
+const { shared } = require('./shared');
+const { MatchRecorder, getPieceState } = require('./recorder');
+const { getGameSettings } = require('./config');
+
+// How many recent events are kept in memory (the full match goes to the replay file)
+const EVENT_LOG_LIMIT = 100;
+
+// Order in which piece types are handed out from the starting squares
+const assignmentOrder = ['pawn', 'rook', 'knight', 'bishop', 'queen', 'king'];
+
+// Match modes: 'team' is White vs. Black, 'ffa' makes every player their own faction
+const matchModes = ['team', 'ffa'];
+
+// Settings fixed when a match is created, which runtime changes leave alone
+const creationSettings = ['mode', 'fen'];
+
+/**
+ * A single match with its own players, event log, clock and socket.io room
+ */
+class Match {
+  /**
+   * @param {Server} io - The socket.io server
+   * @param {string} id - Unique match ID
+   * @param {Object} options - Match options
+   * @param {string} [options.name] - Display name shown in the lobby
+   * @param {Object} [options.settings] - Overrides for the default game settings, plus
+   *   an optional starting position as FEN (null for the standard layout)
+   * @param {boolean} [options.persistent] - Keep the match open when it empties
+   * @param {Function} [options.onPhaseChange] - Called whenever the match changes phase
+   * @param {Function} [options.onPlayerLeave] - Called after a player or spectator is removed
+   * @param {Function} [options.onEvent] - Called with each new event log entry
+   */
+  constructor(io, id, options = {}) {
+    this.io = io;
+    this.id = id;
+    this.name = options.name || `Match ${id}`;
+    this.room = `match:${id}`;
+    this.persistent = !!options.persistent;
+    this.onPhaseChange = options.onPhaseChange || (() => {});
+    this.onPlayerLeave = options.onPlayerLeave || (() => {});
+    this.onEvent = options.onEvent || (() => {});
+
+    // Game state
+    this.players = new Map();
+    this.eventLog = [];
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.respawnTimers = new Map();
+
+    // Writes the event log of each match to a replay file
+    this.recorder = new MatchRecorder(this);
+
+    // Every move made this match, used to judge en passant
+    this.moveHistory = [];
+
+    // Castling waiting on the rook player's consent, by rook player ID
+    this.castlingRequests = new Map();
+
+    // Kings currently in check, by player ID
+    this.kingsInCheck = new Set();
+
+    // Pieces held for disconnected players, by player ID
+    this.disconnectTimers = new Map();
+
+    // Lifecycle state: 'waiting' for players, 'countdown', 'inProgress',
+    // 'overtime' and 'results', then back to 'waiting' or 'countdown'
+    this.phase = 'waiting';
+    this.phaseEndTime = null;
+    this.phaseTimer = null;
+
+    // Track which positions have already been assigned
+    this.assignedPositions = {
+      'white': {},
+      'black': {}
+    };
+
+    // The piece issued to each socket - the only source of truth for
+    // what a client is allowed to confirm
+    this.assignments = new Map();
+
+    // Sockets watching the match without a piece
+    this.spectators = new Set();
+
+    // Game settings - the server-wide defaults with this match's own overrides on top
+    this.overrides = { fen: null, ...options.settings };
+    this.settings = { ...getGameSettings(), ...this.overrides };
+    this.settingsPending = false;
+
+    if (!matchModes.includes(this.settings.mode)) {
+      this.settings.mode = 'team';
+    }
+
+    // Squares each team's pieces start on, from the match's FEN
+    this.loadStartingPositions();
+
+    // Events, loot and neutral entities are simulated here, not on clients.
+    // The simulation only runs while the match is in progress.
+    this.simulation = new Simulation(this);
+  }
+
+  /**
+   * Stop all timers owned by the match
+   */
+  stop() {
+    this.simulation.stop();
+    this.clearTimers();
+    this.recorder.finish();
+    this.disconnectTimers.forEach(timer => clearTimeout(timer));
+    this.disconnectTimers.clear();
+  }
+
+  /**
+   * Cancel pending respawns and match flow timers
+   */
+  clearTimers() {
+    this.respawnTimers.forEach(timer => clearTimeout(timer));
+    this.respawnTimers.clear();
+    this.castlingRequests.forEach(request => clearTimeout(request.timer));
+    this.castlingRequests.clear();
+    clearTimeout(this.phaseTimer);
+    this.phaseTimer = null;
+  }
+
+  /**
+   * Send an event to every socket in this match
+   * @param {string} event - Event name
+   * @param {*} data - Event payload
+   */
+  broadcast(event, data) {
+    this.io.to(this.room).emit(event, data);
+  }
+
+  /**
+   * Add an entry to the event log and the match recording
+   * @param {string} type - Entry type
+   * @param {Object} data - Entry details
+   */
+  logEvent(type, data = {}) {
+    const entry = {
+      type: type,
+      time: Date.now() - this.startTime,
+      ...data
+    };
+
+    this.eventLog.push(entry);
+    if (this.eventLog.length > EVENT_LOG_LIMIT) {
+      this.eventLog.shift();
+    }
+
+    this.recorder.record(entry);
+    this.onEvent(this, entry);
+  }
+
+  /**
+   * Broadcast the current player states to the match
+   */
+  broadcastPlayers() {
+    this.broadcast('update', this.getPublicPlayers());
+    this.players.forEach((player, id) => this.sendPrivateState(id));
+  }
+
+  /**
+   * Get every player's data as anyone in the match may see it. Inventories
+   * and Double Move charges only go to their owners, and profile IDs stay
+   * on the server.
+   * @returns {Object} - Player data by player ID
+   */
+  getPublicPlayers() {
+    const players = {};
+    this.players.forEach((player, id) => {
+      const { inventory, bonusMoves, profileId, ...visible } = player;
+      players[id] = visible;
+    });
+    return players;
+  }
+
+  /**
+   * Send a player the parts of their own data nobody else sees
+   * @param {string} playerId - The player ID
+   */
+  sendPrivateState(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+
+    this.io.to(playerId).emit('privateState', {
+      inventory: player.inventory,
+      bonusMoves: player.bonusMoves
+    });
+  }
+
+  /**
+   * Get the match clock in seconds
+   * @returns {number} - Seconds since the match started (0 before it starts)
+   */
+  getTime() {
+    if (this.phase === 'waiting' || this.phase === 'countdown') {
+      return 0;
+    }
+    return ((this.endTime || Date.now()) - this.startTime) / 1000;
+  }
+
+  /**
+   * Check whether pieces may currently move and use abilities
+   * @returns {boolean} - Whether the match is in progress or in overtime
+   */
+  isActive() {
+    return this.phase === 'inProgress' || this.phase === 'overtime';
+  }
+
+  /**
+   * Get the seconds left in the current phase
+   * @returns {number|null} - Remaining seconds, or null if the phase has no time limit
+   */
+  getPhaseRemaining() {
+    if (!this.phaseEndTime) return null;
+    return Math.max(0, (this.phaseEndTime - Date.now()) / 1000);
+  }
+
+  /**
+   * Move the match into a new lifecycle phase and tell the clients
+   * @param {string} phase - The new phase
+   * @param {number} [duration] - How long the phase lasts in seconds
+   */
+  setPhase(phase, duration) {
+    this.phase = phase;
+    this.phaseEndTime = duration ? Date.now() + duration * 1000 : null;
+
+    console.log(`[${this.id}] Phase: ${phase}`);
+
+    this.broadcast('phaseChange', {
+      phase: phase,
+      duration: duration || null,
+      players: this.players.size,
+      minPlayers: this.settings.minPlayers,
+      time: this.getTime()
+    });
+
+    this.onPhaseChange(this);
+  }
+
+  /**
+   * Check whether the match has room for another player
+   * @returns {boolean} - Whether the match is full
+   */
+  isFull() {
+    return this.assignments.size >= this.getMaxPlayers();
+  }
+
+  /**
+   * Get the most players the match can take - one per starting piece
+   * @returns {number} - Player limit
+   */
+  getMaxPlayers() {
+    return Math.min(this.settings.maxPlayers, this.startingPieceCount);
+  }
+
+  /**
+   * Check whether the match has no players or spectators left
+   * @returns {boolean} - Whether the match is empty
+   */
+  isEmpty() {
+    return this.assignments.size === 0 && this.spectators.size === 0;
+  }
+
+  /**
+   * Check whether a socket is only watching the match
+   * @param {string} socketId - The socket ID
+   * @returns {boolean} - Whether the socket is a spectator or a defeated player
+   */
+  isSpectator(socketId) {
+    if (this.spectators.has(socketId)) return true;
+
+    const player = this.players.get(socketId);
+    return !!(player && player.isSpectator);
+  }
+
+  /**
+   * Get the full game state for a newly joined client
+   * @param {string} role - 'player' or 'spectator'
+   * @returns {Object} - Game state
+   */
+  getGameState(role) {
+    return {
+      role: role,
+      players: this.getPublicPlayers(),
+      events: this.eventLog.slice(-10),
+      settings: this.settings,
+      lastMove: this.moveHistory[this.moveHistory.length - 1] || null,
+      time: this.getTime(),
+      phase: this.phase,
+      phaseRemaining: this.getPhaseRemaining(),
+      minPlayers: this.settings.minPlayers,
+      abilities: abilities,
+      ...this.simulation.getState()
+    };
+  }
+
+  /**
+   * Add a socket that watches the match without taking a piece
+   * @param {Socket} socket - The spectating socket
+   */
+  addSpectator(socket) {
+    this.spectators.add(socket.id);
+    socket.emit('gameState', this.getGameState('spectator'));
+  }
+
+  /**
+   * Get a short description of the match for the lobby list
+   * @returns {Object} - Match summary
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      name: this.name,
+      mode: this.settings.mode,
+      phase: this.phase,
+      players: this.players.size,
+      spectators: this.spectators.size,
+      maxPlayers: this.getMaxPlayers()
+    };
+  }
+
+  /**
+   * Handle a piece assignment request
+   * @param {Socket} socket - The requesting socket
+   * @returns {boolean} - False if the match is full
+   */
+  handleAssignmentRequest(socket) {
+    // A socket only ever holds one piece, and spectators hold none
+    if (this.players.has(socket.id) || this.spectators.has(socket.id)) {
+      return true;
+    }
+
+    // Re-send an assignment that was issued but not yet confirmed
+    let assignment = this.assignments.get(socket.id);
+
+    // Several sockets can join before any of them asks for a piece
+    if (!assignment && this.isFull()) {
+      return false;
+    }
+
+    if (!assignment) {
+      // Assign a team - alternate white and black to keep teams balanced.
+      // In Free-for-All the team only decides the piece colour and side.
+      let team = this.assignments.size % 2 === 0 ? 'white' : 'black';
+
+      // Custom positions may give one side more pieces than the other
+      if (!this.hasFreeStartingPosition(team)) {
+        team = getOpposingTeam(team);
+      }
+
+      const faction = this.isFreeForAll() ? socket.id : team;
+
+      // Find an available position for this team
+      const assignedPiece = this.assignPieceFromStartingPosition(team);
+
+      if (assignedPiece) {
+        assignment = {
+          id: socket.id,
+          type: assignedPiece.type,
+          team: team,
+          faction: faction,
+          position: assignedPiece.position,
+          hasMoved: assignedPiece.hasMoved,
+          profileId: socket.data.profileId || null,
+          token: createSessionToken()
+        };
+      } else {
+        // All starting positions are taken, assign a random position
+        assignment = {
+          id: socket.id,
+          type: getRandomPieceType(),
+          team: team,
+          faction: faction,
+          position: getRandomPosition(),
+          profileId: socket.data.profileId || null,
+          token: createSessionToken()
+        };
+      }
+
+      // Keep a record of what we issued
+      this.assignments.set(socket.id, assignment);
+    }
+
+    // Send the assignment to the client
+    socket.emit('pieceAssignment', assignment);
+    return true;
+  }
+
+  /**
+   * Handle a piece assignment confirmation
+   * @param {Socket} socket - The confirming socket
+   * @param {Object} data - Confirmed piece data (only used to spot tampering)
+   */
+  handleAssignmentConfirm(socket, data) {
+    const assignment = this.assignments.get(socket.id);
+
+    // Ignore confirmations for pieces we never issued or already placed
+    if (!assignment || this.players.has(socket.id)) {
+      return;
+    }
+
+    // Anything the client changed is ignored in favour of our record
+    if (data && (data.type !== assignment.type ||
+        data.team !== assignment.team ||
+        !data.position ||
+        data.position.x !== assignment.position.x ||
+        data.position.z !== assignment.position.z ||
+        (data.hp !== undefined && data.hp !== getBaseHp(assignment.type)))) {
+      console.warn(`[${this.id}] Player ${socket.id} confirmed a modified assignment, using the issued one`);
+    }
+
+    console.log(`[${this.id}] Piece assignment confirmed: ${assignment.team} ${assignment.type} at (${assignment.position.x}, ${assignment.position.z})`);
+
+    // Initialize player data
+    this.players.set(socket.id, createPlayerRecord(assignment));
+    this.logEvent('join', { player: getPieceState(this.players.get(socket.id)) });
+
+    // Send current game state to the new player
+    socket.emit('gameState', this.getGameState('player'));
+
+    // Notify all players about the new player
+    this.broadcastPlayers();
+
+    // Enough players may have joined to start the countdown
+    this.updateWaiting();
+  }
+
+  /**
+   * Handle a player movement request
+   * @param {Socket} socket - The requesting socket
+   * @param {Object} data - Move data
+   */
+  handleMove(socket, data) {
+    const player = this.players.get(socket.id);
+
+    if (this.isSpectator(socket.id)) {
+      socket.emit('moveRejected', { id: socket.id, reason: 'spectator' });
+      return;
+    }
+
+    if (player && data) {
+      // Rooted pieces and pieces that moved a moment ago have to wait
+      const waitReason = this.isActive() ? this.getMoveWaitReason(player) : null;
+      if (waitReason) {
+        socket.emit('moveRejected', {
+          id: player.id,
+          reason: waitReason,
+          correctPosition: player.position
+        });
+        return;
+      }
+
+      // Validate the move with the shared rules
+      const move = this.isActive() && player.hp > 0 ? this.findMove(player, data.position) : null;
+
+      const captured = move ? this.getCapturedPlayer(player, move) : null;
+
+      if (move && move.castling) {
+        // Castling moves a second piece, so its player gets a say
+        this.requestCastling(player, move);
+      } else if (captured && this.absorbHit(player, captured, 'capture')) {
+        // A Petal Shield turns the capture away and the attacker stays put
+        socket.emit('moveRejected', {
+          id: player.id,
+          reason: 'shielded',
+          correctPosition: player.position
+        });
+      } else if (move) {
+        this.applyMove(player, move);
+
+        // Broadcast updated player state
+        this.broadcastPlayers();
+
+        // A move can deliver checkmate
+        this.checkOutcome();
+      } else {
+        // Send correction to the player
+        socket.emit('moveRejected', {
+          id: player.id,
+          reason: this.isActive() ? 'invalidMove' : 'phase',
+          correctPosition: player.position
+        });
+      }
+    }
+  }
+
+  /**
+   * Move a piece, record the move and carry out any special move it makes
+   * @param {Object} player - The moving player
+   * @param {Object} move - A move from the rules engine
+   */
+  applyMove(player, move) {
+    const from = { ...player.position };
+    const captured = this.getCapturedPlayer(player, move);
+
+    // Moving again before the cooldown is over uses up a Double Move
+    if (!this.isMoveReady(player)) {
+      player.bonusMoves = Math.max(0, player.bonusMoves - 1);
+    }
+
+    player.position = { x: move.x, z: move.z };
+    player.lastMoveTime = Date.now();
+    player.hasMoved = true;
+
+    const record = {
+      id: player.id,
+      type: player.type,
+      team: player.team,
+      from: from,
+      to: { ...player.position },
+      time: this.getTime()
+    };
+
+    // Castling brings the rook across the king, which counts as the rook's move too
+    if (move.castling) {
+      const rook = this.players.get(move.castling.rookId);
+      if (!this.isMoveReady(rook)) {
+        rook.bonusMoves = Math.max(0, rook.bonusMoves - 1);
+      }
+      rook.position = { ...move.castling.rookTo };
+      rook.lastMoveTime = Date.now();
+      rook.hasMoved = true;
+      record.castling = move.castling;
+    }
+
+    if (move.enPassant) {
+      record.enPassant = move.enPassant;
+    }
+
+    this.moveHistory.push(record);
+
+    // Clients need the last move to show en passant captures
+    this.broadcast('lastMove', record);
+
+    // Captures defeat the captured piece, unless classic captures are set to
+    // deal damage instead (en passant always defeats the pawn that was passed)
+    let damage = 0;
+    if (captured && captured.hp > 0) {
+      damage = move.enPassant || this.settings.captureDamage <= 0
+        ? captured.hp
+        : Math.min(this.settings.captureDamage, captured.hp);
+    }
+
+    this.logEvent('move', {
+      playerId: player.id,
+      from: record.from,
+      to: record.to,
+      castling: record.castling,
+      enPassant: record.enPassant,
+      captured: damage > 0 && damage >= captured.hp ? captured.id : undefined
+    });
+
+    if (damage > 0) {
+      captured.hp -= damage;
+      this.logEvent('damage', {
+        attacker: player.id,
+        target: captured.id,
+        damage: damage,
+        hp: captured.hp
+      });
+
+      if (captured.hp <= 0) {
+        this.handlePlayerDefeat(captured, player);
+      }
+    }
+
+    // Pawns that reach the far rank pick a new type
+    if (player.type === 'pawn' &&
+        this.createRules().isPromotionSquare(player.position, player.team)) {
+      player.pendingPromotion = true;
+      this.io.to(player.id).emit('promotionAvailable', {
+        id: player.id,
+        position: player.position,
+        choices: shared.promotionTypes
+      });
+    }
+  }
+
+  /**
+   * Check whether a player's move cooldown is over
+   * @param {Object} player - Player data
+   * @returns {boolean} - Whether the player may move without a Double Move
+   */
+  isMoveReady(player) {
+    return Date.now() >= player.lastMoveTime + this.settings.moveCooldown * 1000;
+  }
+
+  /**
+   * Get the reason a player cannot move right now
+   * @param {Object} player - Player data
+   * @returns {string|null} - 'rooted' or 'cooldown', or null if the player may move
+   */
+  getMoveWaitReason(player) {
+    if (hasEffect(player, 'rooted')) {
+      return 'rooted';
+    }
+
+    if (!this.isMoveReady(player) && player.bonusMoves <= 0) {
+      return 'cooldown';
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the player a move would capture
+   * @param {Object} player - The moving player
+   * @param {Object} move - A move from the rules engine
+   * @returns {Object|null} - The captured player, or null if the move captures nobody
+   */
+  getCapturedPlayer(player, move) {
+    // Without classic capture, pieces only share a square, except en passant
+    if (!move.enPassant && !this.settings.classicCapture) {
+      return null;
+    }
+
+    const captured = this.createRules(player).getCapturedPiece(player.position, move);
+    return captured ? this.players.get(captured.id) || null : null;
+  }
+
+  /**
+   * Use up a target's Petal Shield to stop a capture or hit
+   * @param {Object} attacker - The player or entity attacking
+   * @param {Object} target - The player being attacked
+   * @param {string} cause - 'capture', 'ability' or 'vineBeast'
+   * @returns {boolean} - Whether a shield blocked the attack
+   */
+  absorbHit(attacker, target, cause) {
+    if (!removeEffect(target, 'petalShield')) {
+      return false;
+    }
+
+    this.logEvent('shieldBlock', {
+      attacker: attacker.id,
+      target: target.id,
+      cause: cause
+    });
+
+    this.broadcast('shieldBlock', { attackerId: attacker.id, targetId: target.id, cause });
+    this.broadcastPlayers();
+    return true;
+  }
+
+  /**
+   * Restore some of a player's HP, up to their piece type's full HP
+   * @param {Object} player - Player data
+   * @param {number} amount - HP to restore
+   * @param {Object} source - The player or entity doing the healing
+   * @returns {boolean} - Whether any HP was restored
+   */
+  healPlayer(player, amount, source) {
+    const hp = Math.min(player.hp + amount, getBaseHp(player.type));
+    if (hp <= player.hp) {
+      return false;
+    }
+
+    this.logEvent('heal', {
+      source: source.id,
+      target: player.id,
+      amount: hp - player.hp,
+      hp: hp
+    });
+    player.hp = hp;
+
+    return true;
+  }
+
+  /**
+   * Ask the rook's player to agree to castling. A rook whose player is
+   * away (within the reconnect grace period) castles without asking.
+   * @param {Object} king - The castling king's player data
+   * @param {Object} move - The castling move from the rules engine
+   */
+  requestCastling(king, move) {
+    const rookId = move.castling.rookId;
+
+    // The rook has to be free to move as well
+    const rookWaitReason = this.getMoveWaitReason(this.players.get(rookId));
+    if (rookWaitReason) {
+      this.io.to(king.id).emit('castlingDeclined', { reason: rookWaitReason });
+      return;
+    }
+
+    if (this.disconnectTimers.has(rookId)) {
+      this.applyMove(king, move);
+      this.broadcastPlayers();
+      this.checkOutcome();
+      return;
+    }
+
+    // One request per rook at a time
+    if (this.castlingRequests.has(rookId)) {
+      this.io.to(king.id).emit('castlingDeclined', { reason: 'busy' });
+      return;
+    }
+
+    // Either player may reconnect under a new ID while the request waits
+    const request = {
+      kingId: king.id,
+      rookId: rookId,
+      target: { x: move.x, z: move.z },
+      rookTo: move.castling.rookTo,
+      expireTime: Date.now() + this.settings.castlingRequestTime * 1000,
+      timer: null
+    };
+
+    request.timer = setTimeout(() => {
+      this.castlingRequests.delete(request.rookId);
+      this.io.to(request.kingId).emit('castlingDeclined', { reason: 'timeout' });
+      this.io.to(request.rookId).emit('castlingCancelled');
+    }, this.settings.castlingRequestTime * 1000);
+
+    this.castlingRequests.set(rookId, request);
+
+    this.io.to(rookId).emit('castlingRequest', {
+      kingId: king.id,
+      rookTo: move.castling.rookTo,
+      timeout: this.settings.castlingRequestTime
+    });
+    this.io.to(king.id).emit('castlingPending', { rookId });
+  }
+
+  /**
+   * Handle the rook player's answer to a castling request
+   * @param {Socket} socket - The rook player's socket
+   * @param {Object} data - Response data {accept}
+   */
+  handleCastlingResponse(socket, data) {
+    const request = this.castlingRequests.get(socket.id);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    this.castlingRequests.delete(socket.id);
+
+    const king = this.players.get(request.kingId);
+    if (!king) return;
+
+    if (!data || !data.accept) {
+      this.io.to(king.id).emit('castlingDeclined', { reason: 'declined' });
+      return;
+    }
+
+    // The board may have changed while we waited for an answer
+    const move = this.isActive() && king.hp > 0 ? this.findMove(king, request.target) : null;
+    if (!move || !move.castling || move.castling.rookId !== socket.id) {
+      this.io.to(king.id).emit('castlingDeclined', { reason: 'invalidMove' });
+      return;
+    }
+
+    // Either piece may have been rooted or moved in the meantime
+    const waitReason = this.getMoveWaitReason(this.players.get(socket.id)) || this.getMoveWaitReason(king);
+    if (waitReason) {
+      this.io.to(king.id).emit('castlingDeclined', { reason: waitReason });
+      return;
+    }
+
+    this.applyMove(king, move);
+    this.broadcastPlayers();
+    this.checkOutcome();
+  }
+
+  /**
+   * Handle a pawn's choice of promotion
+   * @param {Socket} socket - The promoting socket
+   * @param {Object} data - Promotion data {type}
+   */
+  handlePromotion(socket, data) {
+    const player = this.players.get(socket.id);
+
+    if (!player || !player.pendingPromotion || this.isSpectator(socket.id) ||
+        !data || !shared.promotionTypes.includes(data.type)) {
+      socket.emit('promotionRejected', { id: socket.id });
+      return;
+    }
+
+    // The new type brings its own HP and a fresh ability
+    player.type = data.type;
+    player.hp = getBaseHp(data.type);
+    player.abilityReadyTime = 0;
+    player.pendingPromotion = false;
+
+    console.log(`[${this.id}] Player ${player.id} promoted to ${player.type}`);
+
+    this.logEvent('promotion', {
+      playerId: player.id,
+      pieceType: player.type,
+      position: { ...player.position },
+      hp: player.hp
+    });
+
+    this.broadcast('piecePromoted', {
+      id: player.id,
+      type: player.type,
+      hp: player.hp
+    });
+    this.broadcastPlayers();
+
+    // The new piece can deliver checkmate
+    this.checkOutcome();
+  }
+
+  /**
+   * Handle an ability usage
+   * @param {Socket} socket - The requesting socket
+   * @param {Object} data - Ability data
+   */
+  handleAbility(socket, data) {
+    const player = this.players.get(socket.id);
+
+    if (this.isSpectator(socket.id)) {
+      socket.emit('abilityRejected', { id: socket.id, reason: 'spectator' });
+      return;
+    }
+
+    if (player && data) {
+      const ability = getAbility(player.type);
+
+      // Make sure the ability can be used right now
+      const rejection = this.checkAbility(player, ability, data.target);
+      if (rejection) {
+        socket.emit('abilityRejected', {
+          id: player.id,
+          ability: ability.name,
+          ...rejection
+        });
+        return;
+      }
+
+      console.log(`[${this.id}] Player ${player.id} used ${ability.name} at ${JSON.stringify(data.target)}`);
+
+      // Start the cooldown (effects like the late game surge shorten it)
+      const cooldown = ability.cooldown * getCooldownMultiplier(player);
+      player.abilityReadyTime = Date.now() + cooldown * 1000;
+      socket.emit('abilityAccepted', { id: player.id, ability: ability.name, cooldown });
+
+      // Abilities with a lasting effect put it on the caster
+      if (ability.effect) {
+        applyEffect(player, ability.effect, {
+          source: player.id,
+          duration: ability.duration,
+          data: { healing: ability.healing, range: ability.range }
+        });
+      }
+
+      // Find targets on every square in the ability's area
+      const squares = this.getAbilitySquares(player, ability, data.target);
+      const targets = new Set();
+      squares.forEach(square => {
+        this.findTargetsAtPosition(square, player).forEach(target => targets.add(target));
+      });
+
+      // Apply damage or effects to targets
+      for (const target of targets) {
+        const targetPlayer = this.players.get(target);
+
+        if (targetPlayer && ability.damage > 0) {
+          // Check for friendly fire setting
+          if (!this.settings.friendlyFire && !this.areEnemies(targetPlayer, player)) {
+            continue;
+          }
+
+          // A Petal Shield takes the hit instead
+          if (this.absorbHit(player, targetPlayer, 'ability')) {
+            continue;
+          }
+
+          // Apply damage
+          targetPlayer.hp -= ability.damage;
+
+          // Log the hit
+          this.logEvent('ability', {
+            attacker: player.id,
+            target: target,
+            ability: ability.name,
+            damage: ability.damage,
+            hp: targetPlayer.hp
+          });
+
+          // Check if target is defeated
+          if (targetPlayer.hp <= 0) {
+            this.handlePlayerDefeat(targetPlayer, player);
+
+            // A defeated king ends the match, and the rest of the hit with it
+            if (!this.isActive()) {
+              this.broadcastPlayers();
+              return;
+            }
+          }
+        }
+      }
+
+      // Neutral creatures like the Vine Beast can be hit too
+      if (ability.damage > 0) {
+        squares.forEach(square => {
+          this.simulation.getEntitiesAt(square).forEach(entity => {
+            this.simulation.damageEntity(entity, ability.damage, player, ability.name);
+          });
+        });
+      }
+
+      // Broadcast updated player states
+      this.broadcastPlayers();
+
+      // A defeat can open a line onto a king
+      this.checkOutcome();
+    }
+  }
+
+  /**
+   * Handle a player using an item from their inventory
+   * @param {Socket} socket - The requesting socket
+   * @param {Object} data - Item data {slot, target}
+   */
+  handleUseItem(socket, data) {
+    const player = this.players.get(socket.id);
+
+    if (this.isSpectator(socket.id)) {
+      socket.emit('itemRejected', { id: socket.id, reason: 'spectator' });
+      return;
+    }
+
+    if (!player || !data) return;
+
+    const rejection = this.checkItem(player, data.slot, data.target);
+    if (rejection) {
+      socket.emit('itemRejected', { id: player.id, slot: data.slot, ...rejection });
+      return;
+    }
+
+    const [item] = player.inventory.splice(data.slot, 1);
+    const definition = getItem(item.type);
+    let target = null;
+
+    switch (item.type) {
+      case 'doubleMove':
+        player.bonusMoves += definition.bonusMoves;
+        break;
+
+      case 'vineTrap':
+        target = this.findItemTarget(player, definition, data.target);
+        applyEffect(target, 'rooted', { source: player.id, duration: item.duration });
+        break;
+    }
+
+    console.log(`[${this.id}] Player ${player.id} used ${definition.name}`);
+
+    this.logEvent('itemUse', {
+      playerId: player.id,
+      itemType: item.type,
+      target: target ? target.id : null,
+      duration: item.duration
+    });
+
+    this.broadcast('itemUsed', {
+      playerId: player.id,
+      itemType: item.type,
+      targetId: target ? target.id : null,
+      duration: item.duration
+    });
+    this.broadcastPlayers();
+  }
+
+  /**
+   * Check whether a player may use an item from their inventory
+   * @param {Object} player - Player data
+   * @param {number} slot - Inventory slot
+   * @param {Object} [target] - Target position {x, z}, for items that are aimed
+   * @returns {Object|null} - Rejection {reason, ...} or null if allowed
+   */
+  checkItem(player, slot, target) {
+    if (!this.isActive()) {
+      return { reason: 'phase', phase: this.phase };
+    }
+
+    if (player.hp <= 0 || player.respawning) {
+      return { reason: 'defeated' };
+    }
+
+    if (!Number.isInteger(slot) || !player.inventory[slot]) {
+      return { reason: 'emptySlot' };
+    }
+
+    const definition = getItem(player.inventory[slot].type);
+    if (definition.targetType && !this.findItemTarget(player, definition, target)) {
+      return { reason: 'invalidTarget', targetType: definition.targetType };
+    }
+
+    if (definition.range !== undefined && getDistance(player.position, target) > definition.range) {
+      return { reason: 'outOfRange', range: definition.range };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the enemy an aimed item hits
+   * @param {Object} player - The player using the item
+   * @param {Object} definition - Item definition
+   * @param {Object} [target] - Target position {x, z}
+   * @returns {Object|null} - The targeted player, or null if there is no valid target there
+   */
+  findItemTarget(player, definition, target) {
+    if (!target) return null;
+
+    for (const other of this.players.values()) {
+      if (other.position.x === target.x && other.position.z === target.z &&
+          other.hp > 0 && !other.respawning &&
+          other.type === definition.targetType &&
+          this.areEnemies(other, player)) {
+        return other;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a player may use their ability on a target
+   * @param {Object} player - Player data
+   * @param {Object} ability - Ability definition
+   * @param {Object} target - Target position {x, z}
+   * @returns {Object|null} - Rejection {reason, ...} or null if allowed
+   */
+  checkAbility(player, ability, target) {
+    if (!this.isActive()) {
+      return { reason: 'phase', phase: this.phase };
+    }
+
+    if (player.hp <= 0 || player.respawning) {
+      return { reason: 'defeated' };
+    }
+
+    const now = Date.now();
+    if (player.abilityReadyTime > now) {
+      return {
+        reason: 'cooldown',
+        remaining: (player.abilityReadyTime - now) / 1000
+      };
+    }
+
+    if (!target || !Number.isInteger(target.x) || !Number.isInteger(target.z) ||
+        target.x < 0 || target.x >= 8 || target.z < 0 || target.z >= 8) {
+      return { reason: 'invalidTarget' };
+    }
+
+    if (!shared.isAimInRange(player.type, player.position, target, ability.range)) {
+      return { reason: 'outOfRange', range: ability.range };
+    }
+
+    // Aiming a directional ability at the caster's own square hits nothing
+    if (this.getAbilitySquares(player, ability, target).length === 0) {
+      return { reason: 'invalidTarget' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Hold a disconnected player's piece for the reconnect grace period
+   * @param {string} playerId - The disconnected player's ID
+   * @returns {boolean} - Whether the piece is being held
+   */
+  handleDisconnect(playerId) {
+    // Only confirmed pieces are worth holding on to
+    if (!this.players.has(playerId) || this.settings.reconnectGraceTime <= 0) {
+      return false;
+    }
+
+    console.log(`[${this.id}] Holding piece for ${playerId} for ${this.settings.reconnectGraceTime}s`);
+
+    this.disconnectTimers.set(playerId, setTimeout(() => {
+      this.disconnectTimers.delete(playerId);
+      console.log(`[${this.id}] Reconnect grace period expired for ${playerId}`);
+      this.removePlayer(playerId);
+    }, this.settings.reconnectGraceTime * 1000));
+
+    return true;
+  }
+
+  /**
+   * Find the player a session token was issued to
+   * @param {string} token - Session token from the piece assignment
+   * @returns {string|null} - The player's current ID, or null if the session has expired
+   */
+  findSession(token) {
+    if (!token) return null;
+
+    for (const [id, assignment] of this.assignments) {
+      if (assignment.token === token && this.players.has(id)) {
+        return id;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Hand a reserved piece, with its HP and effects, to a reconnecting socket
+   * @param {Socket} socket - The reconnecting socket
+   * @param {string} previousId - The player's ID before the reconnect
+   */
+  resumeSession(socket, previousId) {
+    clearTimeout(this.disconnectTimers.get(previousId));
+    this.disconnectTimers.delete(previousId);
+
+    // Re-key the player under the new socket ID
+    const assignment = this.assignments.get(previousId);
+    const player = this.players.get(previousId);
+
+    this.assignments.delete(previousId);
+    this.players.delete(previousId);
+    assignment.id = socket.id;
+    player.id = socket.id;
+    this.assignments.set(socket.id, assignment);
+    this.players.set(socket.id, player);
+
+    if (this.respawnTimers.has(previousId)) {
+      this.respawnTimers.set(socket.id, this.respawnTimers.get(previousId));
+      this.respawnTimers.delete(previousId);
+    }
+
+    if (this.kingsInCheck.delete(previousId)) {
+      this.kingsInCheck.add(socket.id);
+    }
+
+    // Castling requests made by or waiting on the player
+    const castlingRequest = this.castlingRequests.get(previousId);
+    if (castlingRequest) {
+      this.castlingRequests.delete(previousId);
+      castlingRequest.rookId = socket.id;
+      this.castlingRequests.set(socket.id, castlingRequest);
+    }
+    this.castlingRequests.forEach(request => {
+      if (request.kingId === previousId) {
+        request.kingId = socket.id;
+      }
+    });
+
+    // Loot reserved for the player stays theirs
+    this.simulation.lootItems.forEach(loot => {
+      if (loot.ownerId === previousId) {
+        loot.ownerId = socket.id;
+      }
+    });
+
+    console.log(`[${this.id}] Player ${previousId} resumed their session as ${socket.id}`);
+    this.logEvent('sessionResume', { previousId: previousId, playerId: socket.id });
+
+    socket.emit('sessionResumed', { ...this.getSummary(), role: 'player', assignment });
+    socket.emit('gameState', this.getGameState('player'));
+    this.broadcastPlayers();
+
+    // Ask again for a promotion the player had not chosen yet
+    if (player.pendingPromotion) {
+      socket.emit('promotionAvailable', {
+        id: player.id,
+        position: player.position,
+        choices: shared.promotionTypes
+      });
+    }
+
+    // And for a castling answer the rook's player still owes
+    if (castlingRequest) {
+      socket.emit('castlingRequest', {
+        kingId: castlingRequest.kingId,
+        rookTo: castlingRequest.rookTo,
+        timeout: Math.max(0, (castlingRequest.expireTime - Date.now()) / 1000)
+      });
+    }
+  }
+
+  /**
+   * Remove a player from the match
+   * @param {string} playerId - The player ID
+   */
+  removePlayer(playerId) {
+    // Get the issued assignment before deleting
+    const assignment = this.assignments.get(playerId);
+
+    if (this.players.has(playerId)) {
+      this.logEvent('leave', { playerId: playerId });
+    }
+
+    // Remove player from the game
+    this.players.delete(playerId);
+    this.assignments.delete(playerId);
+    this.spectators.delete(playerId);
+    clearTimeout(this.disconnectTimers.get(playerId));
+    this.disconnectTimers.delete(playerId);
+
+    // Free up the assigned position, including unconfirmed assignments
+    if (assignment) {
+      this.releaseAssignedPosition(assignment.team, assignment.type, assignment.position);
+    }
+
+    // Update all clients
+    this.broadcastPlayers();
+
+    // Whoever is left wins a match their opponents have walked out of
+    if (this.isActive() && this.assignments.size > 0) {
+      if (this.isFreeForAll()) {
+        this.checkLastStanding();
+      } else {
+        this.checkTeamsRemaining();
+      }
+    }
+
+    // Start over once every player has left, or stop a countdown that lost its players
+    if (this.assignments.size === 0 && this.phase !== 'waiting') {
+      this.resetToWaiting();
+    } else {
+      this.updateWaiting();
+    }
+
+    this.onPlayerLeave(this);
+  }
+
+  /**
+   * Read the match's starting position. An invalid FEN falls back to the standard layout.
+   */
+  loadStartingPositions() {
+    let parsed;
+    try {
+      parsed = shared.parseFEN(this.settings.fen || shared.STARTING_FEN);
+    } catch (error) {
+      console.warn(`[${this.id}] Invalid starting FEN (${error.message}), using the standard layout`);
+      this.settings.fen = null;
+      parsed = shared.parseFEN(shared.STARTING_FEN);
+    }
+
+    // Starting squares by team and piece type, handed out in assignment order
+    this.startingPositions = { 'white': {}, 'black': {} };
+    assignmentOrder.forEach(type => {
+      this.startingPositions.white[type] = [];
+      this.startingPositions.black[type] = [];
+    });
+
+    parsed.pieces.forEach(piece => {
+      this.startingPositions[piece.team][piece.type].push({
+        position: piece.position,
+        hasMoved: piece.hasMoved
+      });
+    });
+
+    this.startingPieceCount = parsed.pieces.length;
+  }
+
+  /**
+   * Assign a piece from the match's starting squares
+   * @param {string} team - The team ('white' or 'black')
+   * @returns {Object|null} - The assigned piece type, position and castling state, or null if all positions are taken
+   */
+  assignPieceFromStartingPosition(team) {
+    // Initialize the assigned positions tracking if it doesn't exist
+    if (!this.assignedPositions[team]) {
+      this.assignedPositions[team] = {};
+    }
+
+    // Try to find an unassigned position
+    for (const pieceType in this.startingPositions[team]) {
+      const squares = this.startingPositions[team][pieceType];
+
+      // Initialize tracking for this piece type if needed
+      if (!this.assignedPositions[team][pieceType]) {
+        this.assignedPositions[team][pieceType] = Array(squares.length).fill(false);
+      }
+
+      // Check if any positions are still available for this piece type
+      const availablePositionIndex = this.assignedPositions[team][pieceType].findIndex(isAssigned => !isAssigned);
+
+      if (availablePositionIndex !== -1) {
+        // Mark this position as assigned
+        this.assignedPositions[team][pieceType][availablePositionIndex] = true;
+
+        // Return the piece type and position
+        return {
+          type: pieceType,
+          position: { ...squares[availablePositionIndex].position },
+          hasMoved: squares[availablePositionIndex].hasMoved
+        };
+      }
+    }
+
+    // All positions are taken
+    return null;
+  }
+
+  /**
+   * Check whether a team still has unassigned starting squares
+   * @param {string} team - The team
+   * @returns {boolean} - Whether a piece is left for the team
+   */
+  hasFreeStartingPosition(team) {
+    return Object.keys(this.startingPositions[team]).some(pieceType => {
+      const assigned = this.assignedPositions[team][pieceType];
+      return this.startingPositions[team][pieceType].length > 0 &&
+        (!assigned || assigned.some(isAssigned => !isAssigned));
+    });
+  }
+
+  /**
+   * Release an assigned position when a player leaves
+   * @param {string} team - The team
+   * @param {string} pieceType - The piece type
+   * @param {Object} position - The starting position
+   */
+  releaseAssignedPosition(team, pieceType, position) {
+    // Check if we have this team and piece type tracked
+    if (!this.assignedPositions[team] || !this.assignedPositions[team][pieceType]) {
+      return;
+    }
+
+    // Find the position among the starting squares
+    const squares = this.startingPositions[team][pieceType];
+    const positionIndex = squares.findIndex(square =>
+      square.position.x === position.x && square.position.z === position.z
+    );
+
+    // If found, mark it as unassigned
+    if (positionIndex !== -1) {
+      this.assignedPositions[team][pieceType][positionIndex] = false;
+    }
+  }
+
+  /**
+   * Find the rules engine's move for a player's requested destination
+   * @param {Object} player - Player data
+   * @param {Object} newPosition - Requested new position
+   * @returns {Object|null} - The move, with any castling or en passant data, or null if illegal
+   */
+  findMove(player, newPosition) {
+    const rules = this.createRules(player);
+
+    if (!rules.isValidPosition(newPosition)) {
+      return null;
+    }
+
+    return rules.getLegalMoves(player.position).find(move =>
+      move.x === newPosition.x && move.z === newPosition.z
+    ) || null;
+  }
+
+  /**
+   * Build a rules board from the pieces currently in play
+   * @param {Object} [mover] - Piece to place last, so it owns its square if pieces overlap
+   * @returns {ChessRules} - Rules engine holding every living piece
+   */
+  createRules(mover) {
+    const rules = new shared.ChessRules();
+
+    this.players.forEach(player => {
+      if (player === mover || player.hp <= 0 || player.respawning) return;
+      rules.registerPiece(player.id, player);
+    });
+
+    if (mover) {
+      rules.registerPiece(mover.id, mover);
+    }
+
+    rules.setLastMove(this.moveHistory[this.moveHistory.length - 1]);
+    rules.setCaptureRule(this.settings);
+
+    return rules;
+  }
+
+  /**
+   * Get the squares a piece's ability hits when aimed at a square
+   * @param {Object} player - The casting player
+   * @param {Object} ability - Ability definition {range, ...}
+   * @param {Object} target - Aimed square {x, z}
+   * @returns {Array} - Affected squares {x, z}
+   */
+  getAbilitySquares(player, ability, target) {
+    return shared.getAffectedSquares(player.type, player.position, target, ability.range);
+  }
+
+  /**
+   * Find targets at a specific position
+   * @param {Object} position - Target position
+   * @param {Object} attacker - The attacking player
+   * @returns {Array} - Array of player IDs at the position
+   */
+  findTargetsAtPosition(position, attacker) {
+    const targets = [];
+
+    this.players.forEach((player, id) => {
+      if (player.position.x === position.x && player.position.z === position.z) {
+        // Don't target yourself or teammates unless friendly fire is on
+        if (id === attacker.id ||
+            (!this.settings.friendlyFire && !this.areEnemies(player, attacker))) {
+          return;
+        }
+        targets.push(id);
+      }
+    });
+
+    return targets;
+  }
+
+  /**
+   * Check whether the match is Free-for-All
+   * @returns {boolean} - Whether every player is their own faction
+   */
+  isFreeForAll() {
+    return this.settings.mode === 'ffa';
+  }
+
+  /**
+   * Check whether two pieces are on opposing sides
+   * @param {Object} a - A player or entity
+   * @param {Object} b - Another player or entity
+   * @returns {boolean} - Whether they are enemies
+   */
+  areEnemies(a, b) {
+    return a.faction !== b.faction;
+  }
+
+  /**
+   * Handle player defeat
+   * @param {Object} defeatedPlayer - The player who was defeated
+   * @param {Object} attacker - The player who defeated them
+   */
+  handlePlayerDefeat(defeatedPlayer, attacker) {
+    console.log(`[${this.id}] Player ${defeatedPlayer.id} was defeated by ${attacker.id}`);
+
+    // Log the defeat
+    this.logEvent('defeat', {
+      defeatedId: defeatedPlayer.id,
+      attackerId: attacker.id
+    });
+
+    // Losing the king loses a Team Mode match
+    if (!this.isFreeForAll() && defeatedPlayer.type === 'king') {
+      this.endMatch(getOpposingTeam(defeatedPlayer.team), 'kingDefeated');
+      return;
+    }
+
+    // In Team Mode overtime the first piece lost decides the match
+    if (!this.isFreeForAll() && this.phase === 'overtime') {
+      this.endMatch(getOpposingTeam(defeatedPlayer.team), 'suddenDeath');
+      return;
+    }
+
+    // Handle respawn if enabled (Free-for-All never respawns)
+    if (this.settings.respawnEnabled && !this.isFreeForAll()) {
+      defeatedPlayer.respawning = true;
+      defeatedPlayer.respawnTime = Date.now() + (this.settings.respawnTime * 1000);
+
+      // Set a timeout to respawn the player
+      this.respawnTimers.set(defeatedPlayer.id, setTimeout(() => {
+        this.respawnTimers.delete(defeatedPlayer.id);
+
+        if (this.players.has(defeatedPlayer.id)) {
+          const player = this.players.get(defeatedPlayer.id);
+
+          // Reset HP and position
+          player.hp = getBaseHp(player.type);
+          player.position = getRandomPosition();
+          player.respawning = false;
+          clearEffects(player);
+          player.pendingPromotion = false;
+          player.hasMoved = true;
+
+          this.logEvent('respawn', {
+            playerId: player.id,
+            position: { ...player.position },
+            hp: player.hp
+          });
+
+          // Notify all players
+          this.broadcast('playerRespawn', {
+            id: player.id,
+            position: player.position,
+            hp: player.hp
+          });
+
+          // Update player states
+          this.broadcastPlayers();
+
+          // The respawned piece may attack a king
+          this.checkOutcome();
+        }
+      }, this.settings.respawnTime * 1000));
+    } else {
+      // Or mark as spectator if no respawn
+      defeatedPlayer.hp = 0;
+      defeatedPlayer.isSpectator = true;
+
+      if (this.isFreeForAll()) {
+        this.checkLastStanding();
+      }
+    }
+  }
+
+  /**
+   * End a Free-for-All match once only one piece is left
+   */
+  checkLastStanding() {
+    const survivors = Array.from(this.players.values()).filter(player => player.hp > 0);
+
+    if (survivors.length <= 1) {
+      const winner = survivors[0];
+      this.endMatch(winner ? winner.id : null, 'lastStanding');
+    }
+  }
+
+  /**
+   * End a Team Mode match once every player on one side has left
+   */
+  checkTeamsRemaining() {
+    const teams = new Set(Array.from(this.players.values()).map(player => player.team));
+
+    for (const team of ['white', 'black']) {
+      if (!teams.has(team)) {
+        this.endMatch(teams.has(getOpposingTeam(team)) ? getOpposingTeam(team) : null, 'teamLeft');
+        return;
+      }
+    }
+  }
+
+  /**
+   * End the match if a team's king has been checkmated
+   */
+  checkOutcome() {
+    if (!this.isActive()) return;
+
+    const rules = this.createRules();
+    this.updateChecks(rules);
+
+    if (this.isFreeForAll()) return;
+
+    for (const team of ['white', 'black']) {
+      if (rules.isCheckmate(team)) {
+        this.endMatch(getOpposingTeam(team), 'checkmate');
+        return;
+      }
+
+      if (rules.isStalemate(team)) {
+        this.endMatch(null, 'stalemate');
+        return;
+      }
+    }
+  }
+
+  /**
+   * Warn kings that have come under attack, and clear the warning once they are safe
+   * @param {ChessRules} rules - Rules engine holding the current board
+   */
+  updateChecks(rules) {
+    this.players.forEach(player => {
+      if (player.type !== 'king') return;
+
+      const inCheck = player.hp > 0 && !player.respawning &&
+        rules.isSquareAttacked(player.position, player.faction);
+      if (inCheck === this.kingsInCheck.has(player.id)) return;
+
+      if (inCheck) {
+        this.kingsInCheck.add(player.id);
+      } else {
+        this.kingsInCheck.delete(player.id);
+      }
+
+      this.broadcast('check', { id: player.id, team: player.team, inCheck });
+    });
+  }
+
+  /**
+   * Start the countdown once enough players are in, or fall back to
+   * waiting if a countdown loses its players
+   */
+  updateWaiting() {
+    const enoughPlayers = this.players.size >= this.settings.minPlayers;
+
+    if (this.phase === 'waiting') {
+      if (enoughPlayers) {
+        this.startCountdown();
+      } else {
+        // Keep the lobby's player count up to date
+        this.setPhase('waiting');
+      }
+    } else if (this.phase === 'countdown' && !enoughPlayers) {
+      clearTimeout(this.phaseTimer);
+      this.phaseTimer = null;
+      this.setPhase('waiting');
+    }
+  }
+
+  /**
+   * Count down to the start of the match
+   */
+  startCountdown() {
+    clearTimeout(this.phaseTimer);
+    this.setPhase('countdown', this.settings.countdownTime);
+    this.phaseTimer = setTimeout(() => this.startMatch(), this.settings.countdownTime * 1000);
+  }
+
+  /**
+   * Start the match clock and simulation
+   */
+  startMatch() {
+    this.phaseTimer = null;
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.simulation.start();
+    this.recorder.start();
+    this.logEvent('matchStart', { mode: this.settings.mode });
+
+    this.setPhase('inProgress', this.settings.gameLength);
+  }
+
+  /**
+   * Handle the match clock running out (called every tick once it has)
+   */
+  handleTimeUp() {
+    if (this.phase === 'overtime') {
+      // Overtime ends when its own clock runs out
+      if (this.getPhaseRemaining() <= 0) {
+        this.endMatch(this.getLeader(), 'overtimeUp');
+      }
+      return;
+    }
+
+    if (this.phase !== 'inProgress') return;
+
+    const winner = this.getLeader();
+
+    // A tie goes to overtime when it is enabled
+    if (!winner && this.settings.overtimeEnabled) {
+      this.setPhase('overtime', this.settings.overtimeTime);
+      return;
+    }
+
+    this.endMatch(winner, 'timeUp');
+  }
+
+  /**
+   * Work out who is ahead when the clock runs out
+   * @returns {string|null} - Leading team (player ID in Free-for-All), or null on a tie
+   */
+  getLeader() {
+    // In Free-for-All the healthiest surviving piece leads
+    if (this.isFreeForAll()) {
+      let leader = null;
+      let tied = false;
+      this.players.forEach(player => {
+        if (player.hp <= 0) return;
+        if (!leader || player.hp > leader.hp) {
+          leader = player;
+          tied = false;
+        } else if (player.hp === leader.hp) {
+          tied = true;
+        }
+      });
+
+      return leader && !tied ? leader.id : null;
+    }
+
+    // The team with more pieces left leads, then the team with more HP
+    const totals = { white: { pieces: 0, hp: 0 }, black: { pieces: 0, hp: 0 } };
+    this.players.forEach(player => {
+      if (totals[player.team] && player.hp > 0) {
+        totals[player.team].pieces++;
+        totals[player.team].hp += player.hp;
+      }
+    });
+
+    if (totals.white.pieces !== totals.black.pieces) {
+      return totals.white.pieces > totals.black.pieces ? 'white' : 'black';
+    }
+    if (totals.white.hp !== totals.black.hp) {
+      return totals.white.hp > totals.black.hp ? 'white' : 'black';
+    }
+    return null;
+  }
+
+  /**
+   * End the match, announce the outcome and show the results
+   * @param {string|null} winner - Winning team (player ID in Free-for-All), or null for a draw
+   * @param {string} reason - Why the match ended
+   */
+  endMatch(winner, reason) {
+    if (!this.isActive()) return;
+
+    console.log(`[${this.id}] Match ended: ${winner || 'draw'} (${reason})`);
+
+    this.endTime = Date.now();
+    this.simulation.stop();
+    this.clearTimers();
+
+    this.logEvent('matchEnd', {
+      winner: winner,
+      reason: reason
+    });
+    this.recorder.finish();
+
+    const winningPlayer = this.isFreeForAll() && this.players.get(winner);
+
+    this.broadcast('matchEnd', {
+      mode: this.settings.mode,
+      winner: winner,
+      winnerPiece: winningPlayer ? { type: winningPlayer.type, team: winningPlayer.team } : null,
+      reason: reason,
+      time: this.getTime()
+    });
+
+    // Show the results for a while, then get ready for the next match
+    this.setPhase('results', this.settings.resultsTime);
+    this.phaseTimer = setTimeout(() => this.finishResults(), this.settings.resultsTime * 1000);
+  }
+
+  /**
+   * Leave the results screen and prepare the next match
+   */
+  finishResults() {
+    this.phaseTimer = null;
+    this.resetState();
+    this.phase = 'waiting';
+    this.updateWaiting();
+  }
+
+  /**
+   * Abandon the current match and wait for players again
+   */
+  resetToWaiting() {
+    this.resetState();
+    this.setPhase('waiting');
+  }
+
+  /**
+   * Change this match's settings. Changes made while a match is being played
+   * wait until it is over.
+   * @param {Object} [overrides] - Settings this match should override
+   * @returns {boolean} - Whether the settings took effect straight away
+   */
+  updateSettings(overrides = {}) {
+    // The mode and starting position are fixed when the match is created
+    const changes = { ...overrides };
+    creationSettings.forEach(name => delete changes[name]);
+    Object.assign(this.overrides, changes);
+
+    if (this.phase !== 'waiting') {
+      this.settingsPending = true;
+      return false;
+    }
+
+    this.applySettings();
+    return true;
+  }
+
+  /**
+   * Rebuild the settings from the server-wide defaults and this match's
+   * overrides, then tell the clients
+   */
+  applySettings() {
+    const settings = { ...getGameSettings(), ...this.overrides };
+
+    // Assigned pieces depend on the mode and starting position
+    creationSettings.forEach(name => {
+      settings[name] = this.settings[name];
+    });
+
+    this.settings = settings;
+    this.settingsPending = false;
+
+    console.log(`[${this.id}] Settings updated`);
+    this.broadcast('settingsUpdate', this.settings);
+  }
+
+  /**
+   * Put every piece back on its starting square and clear the world
+   */
+  resetState() {
+    this.clearTimers();
+    this.recorder.finish();
+
+    // Settings changed during the match apply to the next one
+    if (this.settingsPending) {
+      this.applySettings();
+    }
+
+    this.players.forEach((player, id) => {
+      this.players.set(id, createPlayerRecord(this.assignments.get(id)));
+    });
+
+    this.eventLog = [];
+    this.moveHistory = [];
+    this.broadcast('lastMove', null);
+    this.kingsInCheck.clear();
+    this.endTime = null;
+    this.simulation.stop();
+    this.simulation = new Simulation(this);
+
+    this.broadcastPlayers();
+  }
+}
+
+/**
+ * Create the server-side record for a newly placed piece
+ * @param {Object} assignment - The issued assignment {id, type, team, faction, position, profileId}
+ * @returns {Object} - Player data
+ */
+function createPlayerRecord(assignment) {
+  return {
+    id: assignment.id,
+    type: assignment.type,
+    team: assignment.team,
+    faction: assignment.faction,
+    profileId: assignment.profileId,
+    position: { ...assignment.position },
+    hp: getBaseHp(assignment.type),
+    effects: [],
+    inventory: [],
+    lastMoveTime: Date.now(),
+    bonusMoves: 0,
+    hasMoved: !!assignment.hasMoved,
+    abilityReadyTime: 0,
+    respawning: false
+  };
+}
+
+/**
+ * Create a secret token that lets a player reclaim their piece after a reconnect
+ * @returns {string} - Random session token
+ */
+function createSessionToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Get the opposing team
+ * @param {string} team - A team
+ * @returns {string} - The other team
+ */
+function getOpposingTeam(team) {
+  return team === 'white' ? 'black' : 'white';
+}
+
+/**
+ * Get a random piece type
+ * @returns {string} - A random piece type
+ */
+function getRandomPieceType() {
+  const pieceTypes = ['pawn', 'rook', 'knight', 'bishop', 'queen', 'king'];
+  return pieceTypes[Math.floor(Math.random() * pieceTypes.length)];
+}
+
+/**
+ * Get base HP for a piece type
+ * @param {string} type - Piece type
+ * @returns {number} - Base HP
+ */
+function getBaseHp(type) {
+  const hpMap = {
+    'pawn': 5,
+    'rook': 7,
+    'knight': 7,
+    'bishop': 7,
+    'queen': 10,
+    'king': 15
+  };
+
+  return hpMap[type] || 5;
+}
+
+/**
+ * Get a random position on the board
+ * @returns {Object} - Random position {x, z}
+ */
+function getRandomPosition() {
+  return {
+    x: Math.floor(Math.random() * 8),
+    z: Math.floor(Math.random() * 8)
+  };
+}
+
+module.exports = { Match };
@@ -0,0 +1,411 @@
+// notation.js - Turns a match recording into extended PGN-style notation
+//
+// Both sides move freely in Chess Royale, so moves are numbered in the order
+// they were made rather than in white/black pairs; black moves carry the
+// "..." marker. Each move is followed by a {[%time m:ss]} comment with its
+// match time, and ability hits, loot pickups, defeats and respawns appear as
+// comments between the moves.
+
+const { shared } = require('./shared');
+
+// SAN letters for each piece type (pawns have none)
+const pieceLetters = {
+  'pawn': '',
+  'knight': 'N',
+  'bishop': 'B',
+  'rook': 'R',
+  'queen': 'Q',
+  'king': 'K'
+};
+
+// Readable names for loot types
+const lootNames = {
+  'doubleMove': 'Double Move',
+  'petalShield': 'Petal Shield',
+  'vineTrap': 'Vine Trap'
+};
+
+// Movetext lines are wrapped at this width, as in PGN export format
+const LINE_WIDTH = 79;
+
+/**
+ * Create the notation for a recorded match
+ * @param {Array} entries - Replay entries, starting with the header and start snapshot
+ * @returns {string} - PGN-style notation
+ */
+function createNotation(entries) {
+  const header = entries.find(entry => entry.type === 'header') || {};
+  const start = entries.find(entry => entry.type === 'start');
+
+  // Moves are judged under the capture rule the match was played with
+  const captureRule = { classicCapture: header.classicCapture, captureDamage: header.captureDamage };
+
+  // Track every piece so each move can be read against the board it was made on
+  const pieces = new Map();
+  (start ? start.players : []).forEach(player => {
+    pieces.set(player.id, { ...player, position: { ...player.position } });
+  });
+
+  const tokens = [];
+  const lastMoveTokens = new Map();
+  let lastMove = null;
+  let moveNumber = 0;
+  let result = null;
+
+  entries.forEach(entry => {
+    const piece = pieces.get(entry.playerId);
+
+    switch (entry.type) {
+      case 'join':
+        pieces.set(entry.player.id, { ...entry.player, position: { ...entry.player.position } });
+        break;
+
+      case 'leave':
+        pieces.delete(entry.playerId);
+        break;
+
+      case 'sessionResume':
+        if (pieces.has(entry.previousId)) {
+          pieces.set(entry.playerId, { ...pieces.get(entry.previousId), id: entry.playerId });
+          pieces.delete(entry.previousId);
+        }
+        break;
+
+      case 'move': {
+        if (!piece) break;
+
+        const san = getSan(pieces, piece, entry, lastMove, captureRule);
+        moveNumber++;
+
+        piece.position = { ...entry.to };
+        if (entry.castling && pieces.has(entry.castling.rookId)) {
+          pieces.get(entry.castling.rookId).position = { ...entry.castling.rookTo };
+        }
+        lastMove = { id: piece.id, type: piece.type, team: piece.team, from: entry.from, to: entry.to };
+
+        // The captured piece is gone before anyone can answer the move
+        if (entry.captured && pieces.has(entry.captured)) {
+          pieces.get(entry.captured).hp = 0;
+        }
+
+        const marker = piece.team === 'black' ? `${moveNumber}...` : `${moveNumber}.`;
+        tokens.push(`${marker} ${san}${getCheckSuffix(pieces, piece, lastMove, captureRule)}`);
+        lastMoveTokens.set(piece.id, { index: tokens.length - 1, marker: marker, san: san });
+        tokens.push(formatComment(entry.time));
+        break;
+      }
+
+      case 'promotion':
+        if (!piece) break;
+
+        piece.type = entry.pieceType;
+        piece.hp = entry.hp;
+
+        // Promotion is chosen after the pawn arrives, so it joins the pawn's last move
+        // and the new piece may give check
+        if (lastMoveTokens.has(piece.id)) {
+          const { index, marker, san } = lastMoveTokens.get(piece.id);
+          tokens[index] = `${marker} ${san}=${pieceLetters[entry.pieceType]}${getCheckSuffix(pieces, piece, lastMove, captureRule)}`;
+        }
+        break;
+
+      case 'ability': {
+        const attacker = pieces.get(entry.attacker);
+        const target = pieces.get(entry.target);
+        if (target) {
+          target.hp = entry.hp;
+          tokens.push(formatComment(entry.time,
+            `${entry.ability} by ${describePiece(attacker)} hits ${describePiece(target)} ` +
+            `for ${entry.damage} (${Math.max(0, entry.hp)} HP left)`));
+        }
+        break;
+      }
+
+      case 'damage': {
+        const target = pieces.get(entry.target);
+        if (!target) break;
+        target.hp = entry.hp;
+
+        // Captures by a move are already in the move itself, but a classic
+        // capture that only deals damage leaves the piece standing
+        const attacker = pieces.get(entry.attacker);
+        if (!attacker) {
+          tokens.push(formatComment(entry.time,
+            `Vine Beast hits ${describePiece(target)} for ${entry.damage} (${Math.max(0, entry.hp)} HP left)`));
+        } else if (entry.hp > 0) {
+          tokens.push(formatComment(entry.time,
+            `${describePiece(attacker)} hits ${describePiece(target)} for ${entry.damage} (${entry.hp} HP left)`));
+        }
+        break;
+      }
+
+      case 'defeat': {
+        const defeated = pieces.get(entry.defeatedId);
+        if (defeated) {
+          tokens.push(formatComment(entry.time, `${describePiece(defeated)} is defeated`));
+          defeated.hp = 0;
+        }
+        break;
+      }
+
+      case 'itemUse':
+        if (piece) {
+          const target = pieces.get(entry.target);
+          const item = lootNames[entry.itemType] || entry.itemType;
+          tokens.push(formatComment(entry.time, target
+            ? `${describePiece(piece)} uses ${item} on ${describePiece(target)}`
+            : `${describePiece(piece)} uses ${item}`));
+        }
+        break;
+
+      case 'shieldBlock': {
+        const target = pieces.get(entry.target);
+        const attacker = pieces.get(entry.attacker);
+        if (target) {
+          tokens.push(formatComment(entry.time,
+            `Petal Shield saves ${describePiece(target)} from ${attacker ? describePiece(attacker) : 'the Vine Beast'}`));
+        }
+        break;
+      }
+
+      case 'heal': {
+        const target = pieces.get(entry.target);
+        if (target) target.hp = entry.hp;
+        break;
+      }
+
+      case 'respawn':
+        if (!piece) break;
+
+        piece.position = { ...entry.position };
+        piece.hp = entry.hp;
+        tokens.push(formatComment(entry.time, `${describePiece(piece)} respawns`));
+        break;
+
+      case 'entityDefeat': {
+        const killer = pieces.get(entry.killerId);
+        if (killer) {
+          tokens.push(formatComment(entry.time, `${describePiece(killer)} defeats the Vine Beast`));
+        }
+        break;
+      }
+
+      case 'lootCollect':
+        if (piece) {
+          tokens.push(formatComment(entry.time,
+            `${describePiece(piece)} picks up ${lootNames[entry.lootType] || entry.lootType}`));
+        }
+        break;
+
+      case 'matchEnd':
+        result = entry;
+        break;
+    }
+  });
+
+  const resultToken = getResultToken(header.mode, result);
+  tokens.push(resultToken);
+
+  return formatTags(header, result, resultToken) + '\n' + wrapTokens(tokens) + '\n';
+}
+
+/**
+ * Build a board of the pieces still in play, like Match.createRules
+ * @param {Map} pieces - Tracked pieces by ID
+ * @param {Object} [lastMove] - The previous move, for en passant
+ * @param {Object} captureRule - The match's {classicCapture, captureDamage}
+ * @returns {ChessRules} - Rules engine for the position
+ */
+function createBoard(pieces, lastMove, captureRule) {
+  const rules = new shared.ChessRules();
+  rules.setCaptureRule(captureRule);
+
+  pieces.forEach(piece => {
+    if (piece.hp > 0) {
+      rules.registerPiece(piece.id, { ...piece, position: { ...piece.position } });
+    }
+  });
+
+  rules.setLastMove(lastMove);
+  return rules;
+}
+
+/**
+ * Get the Standard Algebraic Notation for a move, without check markers
+ * @param {Map} pieces - Tracked pieces by ID, before the move
+ * @param {Object} piece - The moving piece
+ * @param {Object} entry - The recorded move {from, to, castling, enPassant, captured}
+ * @param {Object} lastMove - The move before this one
+ * @param {Object} captureRule - The match's {classicCapture, captureDamage}
+ * @returns {string} - SAN such as 'Nbd7', 'exd6' or 'O-O'
+ */
+function getSan(pieces, piece, entry, lastMove, captureRule) {
+  if (entry.castling) {
+    return entry.to.x > entry.from.x ? 'O-O' : 'O-O-O';
+  }
+
+  const rules = createBoard(pieces, lastMove, captureRule);
+
+  // The mover is registered last, so it holds its square even if a piece shares it
+  rules.registerPiece(piece.id, { ...piece, position: { ...entry.from } });
+
+  // Only a move that took a piece off the board is a capture; without classic
+  // capture the pieces just share the square
+  const destination = shared.toSquareName(entry.to);
+  const isCapture = !!entry.enPassant || !!entry.captured;
+
+  if (piece.type === 'pawn') {
+    return isCapture ? `${shared.toSquareName(entry.from)[0]}x${destination}` : destination;
+  }
+
+  // Other pieces of the same kind that could also reach the square
+  const rivals = rules.getBoardPieces().filter(other =>
+    other.id !== piece.id &&
+    other.type === piece.type &&
+    other.faction === piece.faction &&
+    rules.getLegalMoves(other.position).some(move => move.x === entry.to.x && move.z === entry.to.z)
+  );
+
+  let disambiguation = '';
+  if (rivals.length > 0) {
+    const from = shared.toSquareName(entry.from);
+    if (!rivals.some(other => other.position.x === entry.from.x)) {
+      disambiguation = from[0];
+    } else if (!rivals.some(other => other.position.z === entry.from.z)) {
+      disambiguation = from[1];
+    } else {
+      disambiguation = from;
+    }
+  }
+
+  return `${pieceLetters[piece.type]}${disambiguation}${isCapture ? 'x' : ''}${destination}`;
+}
+
+/**
+ * Get the check or checkmate marker for a move
+ * @param {Map} pieces - Tracked pieces by ID, after the move
+ * @param {Object} piece - The piece that moved
+ * @param {Object} lastMove - The move just made
+ * @param {Object} captureRule - The match's {classicCapture, captureDamage}
+ * @returns {string} - '#', '+' or ''
+ */
+function getCheckSuffix(pieces, piece, lastMove, captureRule) {
+  const rules = createBoard(pieces, lastMove, captureRule);
+
+  // The mover takes its square from anything it landed on
+  rules.registerPiece(piece.id, { ...piece, position: { ...piece.position } });
+
+  const opponents = new Set(rules.getBoardPieces()
+    .filter(other => other.type === 'king' && other.faction !== piece.faction)
+    .map(king => king.faction));
+
+  let suffix = '';
+  opponents.forEach(faction => {
+    if (rules.isCheckmate(faction)) {
+      suffix = '#';
+    } else if (!suffix && rules.isInCheck(faction)) {
+      suffix = '+';
+    }
+  });
+
+  return suffix;
+}
+
+/**
+ * Describe a piece for an annotation, e.g. 'white knight on f3'
+ * @param {Object} [piece] - Tracked piece
+ * @returns {string} - Description
+ */
+function describePiece(piece) {
+  if (!piece) return 'an unknown piece';
+  return `${piece.team} ${piece.type} on ${shared.toSquareName(piece.position)}`;
+}
+
+/**
+ * Format a comment with its match time
+ * @param {number} time - Milliseconds since the match started
+ * @param {string} [text] - Annotation text
+ * @returns {string} - Comment such as '{[%time 1:05] Knight is defeated}'
+ */
+function formatComment(time, text) {
+  const totalSeconds = Math.floor(time / 1000);
+  const seconds = totalSeconds % 60;
+  const clock = `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+
+  return text ? `{[%time ${clock}] ${text}}` : `{[%time ${clock}]}`;
+}
+
+/**
+ * Get the PGN result for the end of a match
+ * @param {string} mode - Match mode
+ * @param {Object|null} result - The recorded matchEnd entry, if the match finished
+ * @returns {string} - '1-0', '0-1', '1/2-1/2' or '*'
+ */
+function getResultToken(mode, result) {
+  if (!result) return '*';
+  if (!result.winner) return '1/2-1/2';
+
+  // Free-for-All has no sides, so the winner is named in a tag instead
+  if (mode === 'ffa') return '*';
+
+  return result.winner === 'white' ? '1-0' : '0-1';
+}
+
+/**
+ * Format the tag pairs at the top of the notation
+ * @param {Object} header - The recording header
+ * @param {Object|null} result - The recorded matchEnd entry
+ * @param {string} resultToken - PGN result
+ * @returns {string} - Tag pair lines
+ */
+function formatTags(header, result, resultToken) {
+  const date = header.startedAt ? header.startedAt.slice(0, 10).replace(/-/g, '.') : '????.??.??';
+
+  const tags = [
+    ['Event', header.name || 'Chess Royale match'],
+    ['Site', 'Chess Royale'],
+    ['Date', date],
+    ['Round', '-'],
+    ['White', 'White team'],
+    ['Black', 'Black team'],
+    ['Result', resultToken],
+    ['Mode', header.mode === 'ffa' ? 'Free-for-All' : 'Team']
+  ];
+
+  if (header.fen) {
+    tags.push(['SetUp', '1'], ['FEN', header.fen]);
+  }
+
+  if (result) {
+    tags.push(['Termination', result.reason]);
+    if (header.mode === 'ffa' && result.winner) {
+      tags.push(['Winner', result.winner]);
+    }
+  }
+
+  return tags.map(([name, value]) => `[${name} "${String(value).replace(/["\\]/g, '\\$&')}"]\n`).join('');
+}
+
+/**
+ * Join movetext tokens into lines no wider than the PGN export limit
+ * @param {Array} tokens - Moves, comments and the result
+ * @returns {string} - Wrapped movetext
+ */
+function wrapTokens(tokens) {
+  const lines = [];
+  let line = '';
+
+  tokens.join(' ').split(' ').forEach(word => {
+    if (line && line.length + word.length + 1 > LINE_WIDTH) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+module.exports = { createNotation };
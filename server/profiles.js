@@ -0,0 +1,259 @@
+// profiles.js - File-backed player profiles with lifetime stats
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Where the profiles are stored
+const PROFILES_FILE = path.join(__dirname, '../data/profiles.json');
+
+// How long to wait after a change before writing the file (milliseconds)
+const SAVE_DELAY = 2000;
+
+// Piece types stats are kept for
+const pieceTypes = ['pawn', 'rook', 'knight', 'bishop', 'queen', 'king'];
+
+// Longest nickname a player may choose
+const MAX_NICKNAME_LENGTH = 20;
+
+/**
+ * ProfileStore class to keep nicknames and lifetime stats in a JSON file.
+ * Each profile has a public ID and a secret key the client keeps to
+ * prove the profile is theirs.
+ */
+class ProfileStore {
+  /**
+   * @param {string} [filePath] - The JSON file profiles are stored in
+   */
+  constructor(filePath = PROFILES_FILE) {
+    this.filePath = filePath;
+    this.profiles = new Map();
+    this.saveTimer = null;
+  }
+
+  /**
+   * Read the stored profiles. A missing file is an empty store.
+   */
+  load() {
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read profiles:', error.message);
+      }
+      return;
+    }
+
+    (stored.profiles || []).forEach(profile => {
+      this.profiles.set(profile.id, profile);
+    });
+
+    console.log(`Loaded ${this.profiles.size} player profiles`);
+  }
+
+  /**
+   * Write the profiles to disk a little later, batching quick changes
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * Write the profiles to disk now. The file is replaced in one step so a
+   * crash mid-write cannot leave it half written.
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const data = JSON.stringify({ profiles: Array.from(this.profiles.values()) }, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, data);
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Failed to save profiles:', error.message);
+    }
+  }
+
+  /**
+   * Find a player's profile, or create one if the ID and key do not match
+   * @param {string} [id] - Profile ID the client remembered
+   * @param {string} [key] - The profile's secret key
+   * @param {string} [nickname] - Nickname for a new profile
+   * @param {boolean} [canCreate] - Whether a new profile may be created
+   * @returns {Object|null} - The profile, or null if it does not match and none was created
+   */
+  identify(id, key, nickname, canCreate = true) {
+    const existing = this.profiles.get(id);
+    if (existing && typeof key === 'string' && existing.key === key) {
+      return existing;
+    }
+
+    if (!canCreate) {
+      return null;
+    }
+
+    const profile = {
+      id: crypto.randomUUID(),
+      key: crypto.randomBytes(16).toString('hex'),
+      nickname: cleanNickname(nickname) || `Player ${this.profiles.size + 1}`,
+      createdAt: new Date().toISOString(),
+      stats: {}
+    };
+
+    this.profiles.set(profile.id, profile);
+    this.scheduleSave();
+
+    return profile;
+  }
+
+  /**
+   * Get a profile by ID
+   * @param {string} id - Profile ID
+   * @returns {Object|undefined} - The profile, if it exists
+   */
+  get(id) {
+    return this.profiles.get(id);
+  }
+
+  /**
+   * Change a profile's nickname
+   * @param {string} id - Profile ID
+   * @param {string} nickname - The new nickname
+   * @returns {boolean} - Whether the nickname was valid and saved
+   */
+  setNickname(id, nickname) {
+    const profile = this.profiles.get(id);
+    const cleaned = cleanNickname(nickname);
+    if (!profile || !cleaned) return false;
+
+    profile.nickname = cleaned;
+    this.scheduleSave();
+    return true;
+  }
+
+  /**
+   * Add to one of a profile's stats for a piece type
+   * @param {string} id - Profile ID
+   * @param {string} type - Piece type the player was
+   * @param {string} stat - Stat name
+   * @param {number} [amount] - How much to add
+   */
+  addStat(id, type, stat, amount = 1) {
+    const profile = this.profiles.get(id);
+    if (!profile || !pieceTypes.includes(type)) return;
+
+    if (!profile.stats[type]) {
+      profile.stats[type] = createStats();
+    }
+
+    profile.stats[type][stat] += amount;
+    this.scheduleSave();
+  }
+
+  /**
+   * Update the stats of the players involved in a match event
+   * @param {Match} match - The match the event happened in
+   * @param {Object} entry - Event log entry
+   */
+  recordMatchEvent(match, entry) {
+    const playerStat = (playerId, stat, amount) => {
+      const player = match.players.get(playerId);
+      if (player && player.profileId) {
+        this.addStat(player.profileId, player.type, stat, amount);
+      }
+    };
+
+    switch (entry.type) {
+      case 'ability':
+      case 'damage':
+        playerStat(entry.attacker, 'damageDealt', entry.damage);
+        break;
+
+      case 'defeat':
+        playerStat(entry.attackerId, 'captures');
+        playerStat(entry.defeatedId, 'defeats');
+        break;
+
+      case 'lootCollect':
+        playerStat(entry.playerId, 'lootCollected');
+        break;
+
+      case 'leave':
+        // Leaving a match in play still counts it, as a loss
+        if (match.isActive()) {
+          playerStat(entry.playerId, 'matchesPlayed');
+        }
+        break;
+
+      case 'matchEnd':
+        match.players.forEach(player => {
+          playerStat(player.id, 'matchesPlayed');
+
+          // Free-for-All winners are players, team winners are teams
+          if (entry.winner && (entry.winner === player.team || entry.winner === player.id)) {
+            playerStat(player.id, 'wins');
+          }
+        });
+        break;
+    }
+  }
+
+  /**
+   * Get the parts of a profile that are safe to show anyone
+   * @param {Object} profile - The profile
+   * @returns {Object} - {id, nickname, stats, totals, ratings}
+   */
+  getPublicProfile(profile) {
+    const totals = createStats();
+    Object.values(profile.stats).forEach(stats => {
+      Object.keys(totals).forEach(stat => {
+        totals[stat] += stats[stat] || 0;
+      });
+    });
+
+    return {
+      id: profile.id,
+      nickname: profile.nickname,
+      stats: profile.stats,
+      totals: totals,
+      ratings: profile.ratings || {}
+    };
+  }
+}
+
+/**
+ * Create an empty set of stats for one piece type
+ * @returns {Object} - Stats with every count at zero
+ */
+function createStats() {
+  return {
+    matchesPlayed: 0,
+    wins: 0,
+    captures: 0,
+    defeats: 0,
+    damageDealt: 0,
+    lootCollected: 0
+  };
+}
+
+/**
+ * Trim a nickname and check it is usable
+ * @param {*} nickname - Requested nickname
+ * @returns {string} - The cleaned nickname, or '' if it is not usable
+ */
+function cleanNickname(nickname) {
+  if (typeof nickname !== 'string') return '';
+  return nickname.replace(/\s+/g, ' ').trim().slice(0, MAX_NICKNAME_LENGTH);
+}
+
+module.exports = { ProfileStore };
@@ -0,0 +1,299 @@
+// ratings.js - Elo ratings from match results, and the leaderboard built from them
+
+// Rating every player starts from
+const DEFAULT_RATING = 1500;
+
+// Ratings move faster over a player's first few games
+const PROVISIONAL_GAMES = 10;
+const PROVISIONAL_K = 40;
+const ESTABLISHED_K = 20;
+
+// Ratings are kept per mode, overall and for each piece type
+const ratingModes = ['team', 'ffa'];
+const ratingKeys = ['all', 'pawn', 'rook', 'knight', 'bishop', 'queen', 'king'];
+
+/**
+ * Get the score a player is expected to make against an opponent
+ * @param {number} rating - The player's rating
+ * @param {number} opponentRating - The opponent's rating
+ * @returns {number} - Expected score between 0 and 1
+ */
+function getExpectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * Get the K-factor for a rating, by how many games it is based on
+ * @param {number} games - Rated games played
+ * @returns {number} - K-factor
+ */
+function getKFactor(games) {
+  return games < PROVISIONAL_GAMES ? PROVISIONAL_K : ESTABLISHED_K;
+}
+
+/**
+ * Work out each team's actual and expected score in a Team Mode match.
+ * Teams are rated by their average rating.
+ * @param {Object} teamRatings - Ratings of each team's players {white: [], black: []}
+ * @param {string|null} winner - Winning team, or null for a draw
+ * @returns {Object} - Score minus expected score for each team {white, black}
+ */
+function getTeamResults(teamRatings, winner) {
+  const average = ratings => ratings.length > 0
+    ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+    : DEFAULT_RATING;
+
+  const white = average(teamRatings.white);
+  const black = average(teamRatings.black);
+  const whiteScore = winner === 'white' ? 1 : winner === 'black' ? 0 : 0.5;
+  const whiteExpected = getExpectedScore(white, black);
+
+  return {
+    white: whiteScore - whiteExpected,
+    black: (1 - whiteScore) - (1 - whiteExpected)
+  };
+}
+
+/**
+ * Work out each player's result in a Free-for-All match. Every player is
+ * scored against every other as if they had played one game each, won by
+ * whoever placed higher, then averaged so big matches do not swing ratings more.
+ * @param {Array} players - {rating, place} for each player (1 is first place)
+ * @returns {Array} - Score minus expected score for each player, in the same order
+ */
+function getPlacementResults(players) {
+  return players.map((player, i) => {
+    let total = 0;
+
+    players.forEach((opponent, j) => {
+      if (i === j) return;
+
+      const score = player.place < opponent.place ? 1 : player.place > opponent.place ? 0 : 0.5;
+      total += score - getExpectedScore(player.rating, opponent.rating);
+    });
+
+    return players.length > 1 ? total / (players.length - 1) : 0;
+  });
+}
+
+/**
+ * RatingTracker class to rate players from the outcome of their matches
+ * and keep the ratings with their profiles
+ */
+class RatingTracker {
+  /**
+   * @param {ProfileStore} profiles - Where the ratings are stored
+   */
+  constructor(profiles) {
+    this.profiles = profiles;
+
+    // Free-for-All players in the order they were knocked out, by match ID
+    this.eliminations = new Map();
+  }
+
+  /**
+   * Follow a match's events and rate its players when it ends
+   * @param {Match} match - The match the event happened in
+   * @param {Object} entry - Event log entry
+   */
+  recordMatchEvent(match, entry) {
+    switch (entry.type) {
+      case 'matchStart':
+        this.eliminations.set(match.id, []);
+        break;
+
+      case 'defeat':
+        if (match.isFreeForAll() && this.eliminations.has(match.id)) {
+          this.eliminations.get(match.id).push(entry.defeatedId);
+        }
+        break;
+
+      case 'leave':
+        // Quitting a match in play counts as losing it
+        if (match.isActive() && this.eliminations.has(match.id)) {
+          this.rateLeaver(match, match.players.get(entry.playerId));
+        }
+        break;
+
+      case 'matchEnd':
+        if (match.isFreeForAll()) {
+          this.rateFreeForAll(match, entry.winner);
+        } else {
+          this.rateTeamMatch(match, entry.winner);
+        }
+        this.eliminations.delete(match.id);
+        break;
+    }
+  }
+
+  /**
+   * Rate a finished Team Mode match
+   * @param {Match} match - The match
+   * @param {string|null} winner - Winning team, or null for a draw
+   */
+  rateTeamMatch(match, winner) {
+    const players = Array.from(match.players.values());
+    const teamRatings = { white: [], black: [] };
+
+    // Players without a profile count at the default rating
+    players.forEach(player => {
+      if (teamRatings[player.team]) {
+        teamRatings[player.team].push(this.getRating(player.profileId, 'team', 'all'));
+      }
+    });
+
+    const results = getTeamResults(teamRatings, winner);
+    players.forEach(player => {
+      if (results[player.team] !== undefined) {
+        this.applyResult(player, 'team', results[player.team]);
+      }
+    });
+  }
+
+  /**
+   * Rate a finished Free-for-All match by the order players were knocked out
+   * @param {Match} match - The match
+   * @param {string|null} winner - The winning player's ID, or null if nobody won outright
+   */
+  rateFreeForAll(match, winner) {
+    const eliminated = this.eliminations.get(match.id) || [];
+    const players = Array.from(match.players.values());
+
+    // The winner comes first, other survivors share the next place, and the
+    // rest are placed by how long they lasted
+    const survivorPlace = winner ? 2 : 1;
+    const placed = players.map(player => {
+      let place = survivorPlace;
+      if (player.id === winner) {
+        place = 1;
+      } else if (eliminated.includes(player.id)) {
+        place = survivorPlace + 1 + (eliminated.length - 1 - eliminated.indexOf(player.id));
+      }
+      return { player, place, rating: this.getRating(player.profileId, 'ffa', 'all') };
+    });
+
+    const results = getPlacementResults(placed);
+    placed.forEach(({ player }, i) => this.applyResult(player, 'ffa', results[i]));
+  }
+
+  /**
+   * Rate a player who left a match before it ended as having lost it
+   * @param {Match} match - The match
+   * @param {Object} leaver - The leaving player's data
+   */
+  rateLeaver(match, leaver) {
+    if (!leaver) return;
+
+    if (!match.isFreeForAll()) {
+      const teamRatings = { white: [], black: [] };
+      match.players.forEach(player => {
+        if (teamRatings[player.team]) {
+          teamRatings[player.team].push(this.getRating(player.profileId, 'team', 'all'));
+        }
+      });
+
+      const results = getTeamResults(teamRatings, leaver.team === 'white' ? 'black' : 'white');
+      if (results[leaver.team] !== undefined) {
+        this.applyResult(leaver, 'team', results[leaver.team]);
+      }
+      return;
+    }
+
+    // In Free-for-All the leaver is knocked out now, if they were still in
+    const eliminated = this.eliminations.get(match.id);
+    if (!eliminated.includes(leaver.id)) {
+      eliminated.push(leaver.id);
+    }
+
+    const placed = Array.from(match.players.values()).map(player => {
+      const index = eliminated.indexOf(player.id);
+      const place = index === -1 ? 1 : 2 + (eliminated.length - 1 - index);
+      return { player, place, rating: this.getRating(player.profileId, 'ffa', 'all') };
+    });
+
+    const results = getPlacementResults(placed);
+    const i = placed.findIndex(({ player }) => player === leaver);
+    this.applyResult(leaver, 'ffa', results[i]);
+  }
+
+  /**
+   * Update a player's overall and piece type ratings
+   * @param {Object} player - Player data
+   * @param {string} mode - Rating mode
+   * @param {number} result - Score minus expected score
+   */
+  applyResult(player, mode, result) {
+    if (!player.profileId || !this.profiles.get(player.profileId)) return;
+
+    ['all', player.type].forEach(key => {
+      const rating = this.getRatingRecord(player.profileId, mode, key);
+      rating.rating = Math.round(rating.rating + getKFactor(rating.games) * result);
+      rating.games++;
+    });
+
+    this.profiles.scheduleSave();
+  }
+
+  /**
+   * Get a player's rating
+   * @param {string} profileId - Profile ID
+   * @param {string} mode - Rating mode ('team' or 'ffa')
+   * @param {string} key - 'all' or a piece type
+   * @returns {number} - The rating, or the default rating for players without one
+   */
+  getRating(profileId, mode, key) {
+    const profile = this.profiles.get(profileId);
+    const rating = profile && profile.ratings && profile.ratings[mode] && profile.ratings[mode][key];
+    return rating ? rating.rating : DEFAULT_RATING;
+  }
+
+  /**
+   * Get a profile's stored rating, creating it at the default rating
+   * @param {string} profileId - Profile ID
+   * @param {string} mode - Rating mode
+   * @param {string} key - 'all' or a piece type
+   * @returns {Object} - Rating record {rating, games}
+   */
+  getRatingRecord(profileId, mode, key) {
+    const profile = this.profiles.get(profileId);
+
+    if (!profile.ratings) profile.ratings = {};
+    if (!profile.ratings[mode]) profile.ratings[mode] = {};
+    if (!profile.ratings[mode][key]) {
+      profile.ratings[mode][key] = { rating: DEFAULT_RATING, games: 0 };
+    }
+
+    return profile.ratings[mode][key];
+  }
+
+  /**
+   * Rank the rated players
+   * @param {string} mode - Rating mode
+   * @param {string} key - 'all' or a piece type
+   * @param {number} limit - Most players to list
+   * @returns {Array} - Entries {rank, id, nickname, rating, games}, best first
+   */
+  getLeaderboard(mode, key, limit) {
+    const rated = [];
+
+    this.profiles.profiles.forEach(profile => {
+      const rating = profile.ratings && profile.ratings[mode] && profile.ratings[mode][key];
+      if (rating && rating.games > 0) {
+        rated.push({ id: profile.id, nickname: profile.nickname, rating: rating.rating, games: rating.games });
+      }
+    });
+
+    rated.sort((a, b) => b.rating - a.rating || b.games - a.games);
+    return rated.slice(0, limit).map((entry, i) => ({ rank: i + 1, ...entry }));
+  }
+}
+
+module.exports = {
+  RatingTracker,
+  ratingModes,
+  ratingKeys,
+  DEFAULT_RATING,
+  getExpectedScore,
+  getTeamResults,
+  getPlacementResults
+};
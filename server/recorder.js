@@ -0,0 +1,188 @@
+// recorder.js - Writes each match to a JSON-lines replay file
+
+const fs = require('fs');
+const path = require('path');
+
+// Directory the replay files are written to
+const REPLAY_DIR = path.join(__dirname, '../replays');
+
+// Replay file names are generated by the recorder, so anything else is refused
+const replayNamePattern = /^[\w-]+\.jsonl$/;
+
+/**
+ * MatchRecorder class to stream a match's timeline to disk. The first line
+ * holds the match details, the second the pieces on the board at the start,
+ * and every following line one timestamped entry from the match's event log.
+ */
+class MatchRecorder {
+  /**
+   * @param {Match} match - The match being recorded
+   * @param {string} [directory] - Where to write the replay files
+   */
+  constructor(match, directory = REPLAY_DIR) {
+    this.match = match;
+    this.directory = directory;
+    this.stream = null;
+    this.fileName = null;
+  }
+
+  /**
+   * Check whether a recording is open
+   * @returns {boolean} - Whether entries are being written
+   */
+  isRecording() {
+    return this.stream !== null;
+  }
+
+  /**
+   * Get the path of the current or most recent recording
+   * @returns {string|null} - Path to the replay file, or null if nothing has been recorded
+   */
+  getFilePath() {
+    return this.fileName ? path.join(this.directory, this.fileName) : null;
+  }
+
+  /**
+   * Open a new replay file for a match that has just started
+   */
+  start() {
+    this.finish();
+
+    const startedAt = new Date(this.match.startTime);
+    this.fileName = `${startedAt.toISOString().replace(/[:.]/g, '-')}-match-${this.match.id}.jsonl`;
+
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      this.stream = fs.createWriteStream(path.join(this.directory, this.fileName));
+    } catch (error) {
+      console.error(`[${this.match.id}] Could not open replay file:`, error.message);
+      this.stream = null;
+      return;
+    }
+
+    // A failing disk stops the recording, not the match
+    this.stream.on('error', error => {
+      console.error(`[${this.match.id}] Replay recording failed:`, error.message);
+      this.stream = null;
+    });
+
+    this.write({
+      type: 'header',
+      time: 0,
+      version: 1,
+      matchId: this.match.id,
+      name: this.match.name,
+      mode: this.match.settings.mode,
+      fen: this.match.settings.fen,
+      classicCapture: this.match.settings.classicCapture,
+      captureDamage: this.match.settings.captureDamage,
+      startedAt: startedAt.toISOString()
+    });
+
+    this.write({
+      type: 'start',
+      time: 0,
+      players: Array.from(this.match.players.values()).map(getPieceState)
+    });
+
+    console.log(`[${this.match.id}] Recording to ${this.fileName}`);
+  }
+
+  /**
+   * Append an entry from the match's event log
+   * @param {Object} entry - Event log entry {type, time, ...}
+   */
+  record(entry) {
+    if (this.stream) {
+      this.write(entry);
+    }
+  }
+
+  /**
+   * Close the replay file
+   */
+  finish() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+  }
+
+  /**
+   * Write one line to the replay file
+   * @param {Object} entry - Entry to write
+   */
+  write(entry) {
+    this.stream.write(JSON.stringify(entry) + '\n');
+  }
+}
+
+/**
+ * Get the state of a piece a replay needs to place it on the board
+ * @param {Object} player - Player data
+ * @returns {Object} - Piece state {id, type, team, faction, position, hp}
+ */
+function getPieceState(player) {
+  return {
+    id: player.id,
+    type: player.type,
+    team: player.team,
+    faction: player.faction,
+    position: { ...player.position },
+    hp: player.hp
+  };
+}
+
+/**
+ * List the recorded replays, newest first
+ * @param {string} [directory] - Where the replay files are
+ * @returns {Array} - Replay files {name, size, modified}
+ */
+function listReplays(directory = REPLAY_DIR) {
+  let names;
+  try {
+    names = fs.readdirSync(directory);
+  } catch (error) {
+    // Nothing has been recorded yet
+    return [];
+  }
+
+  return names
+    .filter(name => replayNamePattern.test(name))
+    .map(name => {
+      const stats = fs.statSync(path.join(directory, name));
+      return { name: name, size: stats.size, modified: stats.mtimeMs };
+    })
+    .sort((a, b) => b.modified - a.modified);
+}
+
+/**
+ * Read the entries of a replay file. A recording still being written may end
+ * in a partial line, which is left out.
+ * @param {string} filePath - Path to the replay file
+ * @returns {Promise<Array>} - Replay entries in file order
+ */
+function readReplay(filePath) {
+  return fs.promises.readFile(filePath, 'utf8').then(text =>
+    text
+      .slice(0, text.lastIndexOf('\n') + 1)
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line))
+  );
+}
+
+/**
+ * Get the path of a recorded replay
+ * @param {string} name - Replay file name
+ * @param {string} [directory] - Where the replay files are
+ * @returns {string|null} - Path to the file, or null for an invalid or unknown name
+ */
+function getReplayPath(name, directory = REPLAY_DIR) {
+  if (!replayNamePattern.test(name)) return null;
+
+  const filePath = path.join(directory, name);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+module.exports = { MatchRecorder, getPieceState, listReplays, readReplay, getReplayPath };
@@ -4,6 +4,14 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
+const { Match } = require('./match');
+const { loadSharedModules } = require('./shared');
+const { listReplays, readReplay, getReplayPath } = require('./recorder');
+const { createNotation } = require('./notation');
+const { ProfileStore } = require('./profiles');
+const { RatingTracker, ratingModes, ratingKeys } = require('./ratings');
+const { loadGameConfig, getGameSettings, updateGameSettings, validateSettings } = require('./config');
 
 // Create Express app and HTTP server
 const app = express();
@@ -13,518 +21,482 @@ const io = new Server(server);
 // Serve static files from the client directory
 app.use(express.static(path.join(__dirname, '../client')));
 
+// Serve the modules shared between the client and the server
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
 // Also serve node_modules directory for Three.js and other dependencies
 app.use('/node_modules', express.static(path.join(__dirname, '../node_modules')));
 
-// Game state
-const players = new Map();
-const eventLog = [];
-const gameStartTime = Date.now();
-
-// Define traditional chess positions (board coordinates 0-7)
-const traditionalPositions = {
-  'white': {
-    'pawn': [{x: 0, z: 6}, {x: 1, z: 6}, {x: 2, z: 6}, {x: 3, z: 6}, 
-             {x: 4, z: 6}, {x: 5, z: 6}, {x: 6, z: 6}, {x: 7, z: 6}],
-    'rook': [{x: 0, z: 7}, {x: 7, z: 7}],
-    'knight': [{x: 1, z: 7}, {x: 6, z: 7}],
-    'bishop': [{x: 2, z: 7}, {x: 5, z: 7}],
-    'queen': [{x: 3, z: 7}],
-    'king': [{x: 4, z: 7}]
-  },
-  'black': {
-    'pawn': [{x: 0, z: 1}, {x: 1, z: 1}, {x: 2, z: 1}, {x: 3, z: 1}, 
-             {x: 4, z: 1}, {x: 5, z: 1}, {x: 6, z: 1}, {x: 7, z: 1}],
-    'rook': [{x: 0, z: 0}, {x: 7, z: 0}],
-    'knight': [{x: 1, z: 0}, {x: 6, z: 0}],
-    'bishop': [{x: 2, z: 0}, {x: 5, z: 0}],
-    'queen': [{x: 3, z: 0}],
-    'king': [{x: 4, z: 0}]
+// List the recorded matches for the replay viewer
+app.get('/api/replays', (req, res) => {
+  res.json(listReplays());
+});
+
+// Download a single recording
+app.get('/api/replays/:name', (req, res) => {
+  const filePath = getReplayPath(req.params.name);
+  if (!filePath) {
+    res.status(404).json({ error: 'Replay not found' });
+    return;
+  }
+
+  res.type('application/x-ndjson');
+  res.sendFile(filePath);
+});
+
+// Download a recording as PGN-style notation
+app.get('/api/replays/:name/notation', (req, res) => {
+  sendNotation(res, getReplayPath(req.params.name), req.params.name.replace(/\.jsonl$/, ''));
+});
+
+// Download the notation of a match's current or most recent recording
+app.get('/api/matches/:id/notation', (req, res) => {
+  const match = matches.get(req.params.id);
+  sendNotation(res, match ? match.recorder.getFilePath() : null, `match-${req.params.id}`);
+});
+
+// Player profiles and lifetime stats
+const profiles = new ProfileStore();
+profiles.load();
+
+// Ratings are stored with the profiles
+const ratings = new RatingTracker(profiles);
+
+// Rated players, best first, filtered by mode and piece type
+app.get('/api/leaderboard', (req, res) => {
+  const mode = req.query.mode || 'team';
+  const type = req.query.type || 'all';
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  if (!ratingModes.includes(mode) || !ratingKeys.includes(type)) {
+    res.status(400).json({ error: 'Unknown mode or piece type' });
+    return;
+  }
+
+  res.json({ mode, type, players: ratings.getLeaderboard(mode, type, limit) });
+});
+
+// Leaderboard page
+app.get('/leaderboard', (req, res) => {
+  res.sendFile(path.join(__dirname, '../client/leaderboard.html'));
+});
+
+// Lobby state - every socket not yet in a match sits in this room
+const LOBBY_ROOM = 'lobby';
+const matches = new Map();
+let nextMatchId = 1;
+
+// Default settings for every match, read before any match is created
+loadGameConfig();
+
+// Admin API - every request needs the ADMIN_TOKEN as a bearer token
+const admin = express.Router();
+admin.use(requireAdmin);
+admin.use(express.json());
+
+// Default settings for new matches
+admin.get('/settings', (req, res) => {
+  res.json(getGameSettings());
+});
+
+// Change the defaults; running matches pick them up once they finish
+admin.put('/settings', (req, res) => {
+  const errors = updateGameSettings(req.body);
+  if (errors.length > 0) {
+    res.status(400).json({ errors });
+    return;
+  }
+
+  const applied = {};
+  matches.forEach(match => {
+    applied[match.id] = match.updateSettings();
+  });
+
+  console.log(`Game settings updated: ${Object.keys(req.body).join(', ')}`);
+  res.json({ settings: getGameSettings(), applied });
+});
+
+// A single match's effective settings
+admin.get('/matches/:id/settings', (req, res) => {
+  const match = matches.get(req.params.id);
+  if (!match) {
+    res.status(404).json({ error: 'Match not found' });
+    return;
+  }
+
+  res.json({ settings: match.settings, overrides: match.overrides, pending: match.settingsPending });
+});
+
+// Override settings for a single match, applied between matches
+admin.put('/matches/:id/settings', (req, res) => {
+  const match = matches.get(req.params.id);
+  if (!match) {
+    res.status(404).json({ error: 'Match not found' });
+    return;
   }
-};
-
-// Track which positions have already been assigned
-const assignedPositions = {
-  'white': {},
-  'black': {}
-};
-
-// Game settings
-const gameSettings = {
-  respawnEnabled: true,
-  respawnTime: 5, // seconds
-  maxPlayers: 32,
-  friendlyFire: false
-};
+
+  // A match keeps the mode and starting position it was listed with
+  const fixed = ['mode', 'fen'].filter(name => req.body && req.body[name] !== undefined);
+  const errors = fixed.length > 0
+    ? fixed.map(name => `${name} cannot be changed for an existing match`)
+    : validateSettings(req.body, { ...getGameSettings(), ...match.overrides });
+  if (errors.length > 0) {
+    res.status(400).json({ errors });
+    return;
+  }
+
+  const applied = match.updateSettings(req.body);
+  res.json({ settings: match.settings, overrides: match.overrides, applied });
+});
+
+app.use('/api/admin', admin);
 
 // Connect to socket.io
 io.on('connection', (socket) => {
   console.log('Player connected:', socket.id);
-  
+
+  // New connections start in the lobby
+  socket.join(LOBBY_ROOM);
+  socket.emit('matchList', getMatchList());
+
+  // Handle profile requests - clients identify before joining a match
+  socket.on('identify', (data) => {
+    // A connection creates at most one profile; identifying again with
+    // unknown details keeps the profile it already has
+    const profile = profiles.identify(data && data.id, data && data.key, data && data.nickname, !socket.data.profileId) ||
+      profiles.get(socket.data.profileId);
+    socket.data.profileId = profile.id;
+
+    // Only the profile's owner ever sees its key
+    socket.emit('profile', { ...profiles.getPublicProfile(profile), key: profile.key });
+  });
+
+  socket.on('getProfile', () => {
+    const profile = profiles.get(socket.data.profileId);
+    if (profile) {
+      socket.emit('profile', profiles.getPublicProfile(profile));
+    }
+  });
+
+  socket.on('setNickname', (data) => {
+    if (!profiles.setNickname(socket.data.profileId, data && data.nickname)) {
+      socket.emit('nicknameRejected');
+      return;
+    }
+    socket.emit('profile', profiles.getPublicProfile(profiles.get(socket.data.profileId)));
+  });
+
+  // Handle lobby requests
+  socket.on('listMatches', () => {
+    socket.emit('matchList', getMatchList());
+  });
+
+  socket.on('createMatch', (data) => {
+    // One open match per socket, so a client cannot flood the lobby
+    if (matches.has(socket.data.createdMatchId)) {
+      socket.emit('joinRejected', { reason: 'You already have an open match' });
+      return;
+    }
+
+    const name = data && typeof data.name === 'string' ? data.name.trim().slice(0, 32) : '';
+    const mode = data && data.mode === 'ffa' ? 'ffa' : 'team';
+    const fen = data && typeof data.fen === 'string' ? data.fen.trim().slice(0, 100) : '';
+    const match = createMatch({ name: name || undefined, settings: { mode, fen: fen || null } });
+    socket.data.createdMatchId = match.id;
+    joinMatch(socket, match);
+  });
+
+  socket.on('joinMatch', (data) => {
+    const match = data && matches.get(data.matchId);
+
+    if (!match) {
+      socket.emit('joinRejected', { reason: 'Match not found' });
+      return;
+    }
+
+    // Spectators can watch any match, even a full one
+    if (data.spectate) {
+      joinMatch(socket, match, 'spectator');
+      return;
+    }
+
+    if (match.isFull()) {
+      socket.emit('joinRejected', { reason: 'Match is full', canSpectate: true });
+      return;
+    }
+
+    joinMatch(socket, match);
+  });
+
+  socket.on('leaveMatch', () => {
+    leaveMatch(socket);
+  });
+
   // Handle piece assignment request
   socket.on('requestPieceAssignment', (data) => {
-    // Assign a team - alternate white and black to keep teams balanced
-    const playerCount = players.size;
-    const team = playerCount % 2 === 0 ? 'white' : 'black';
-    
-    // Find an available position for this team
-    const assignedPiece = assignPieceFromTraditionalPosition(team);
-    
-    if (assignedPiece) {
-      // Send the assignment to the client
-      socket.emit('pieceAssignment', {
-        id: socket.id,
-        type: assignedPiece.type,
-        team: team,
-        position: assignedPiece.position
-      });
-    } else {
-      // All traditional positions are taken, assign a random position
-      const randomType = getRandomPieceType();
-      const randomPosition = getRandomPosition();
-      
-      socket.emit('pieceAssignment', {
-        id: socket.id,
-        type: randomType,
-        team: team,
-        position: randomPosition
-      });
+    const match = getSocketMatch(socket);
+    if (match && !match.handleAssignmentRequest(socket)) {
+      // The match filled up after the player joined it
+      leaveMatch(socket);
+      socket.emit('joinRejected', { reason: 'Match is full', canSpectate: true });
     }
   });
-  
+
   // Handle piece assignment confirmation
   socket.on('confirmPieceAssignment', (data) => {
-    console.log('Piece assignment confirmed:', data);
-    
-    // Initialize player data
-    players.set(data.id, {
-      id: data.id,
-      type: data.type,
-      team: data.team,
-      position: data.position,
-      hp: data.hp || getBaseHp(data.type),
-      effects: [],
-      lastMoveTime: Date.now(),
-      respawning: false
-    });
-    
-    // Send current game state to the new player
-    socket.emit('gameState', {
-      players: Object.fromEntries(players),
-      events: eventLog.slice(-10),
-      settings: gameSettings,
-      time: (Date.now() - gameStartTime) / 1000
-    });
-    
-    // Notify all players about the new player
-    io.emit('update', Object.fromEntries(players));
+    const match = getSocketMatch(socket);
+    if (match) {
+      match.handleAssignmentConfirm(socket, data);
+      broadcastMatchList();
+    }
   });
-  
+
   // Handle player movement
   socket.on('move', (data) => {
-    const player = players.get(data.id);
-    
-    if (player) {
-      // Validate move (optional: server-side move validation)
-      const isValidMove = validateMove(player, data.position);
-      
-      if (isValidMove) {
-        // Update player position
-        player.position = data.position;
-        player.lastMoveTime = Date.now();
-        
-        // Broadcast updated player state
-        io.emit('update', Object.fromEntries(players));
-      } else {
-        // Send correction to the player
-        socket.emit('moveRejected', {
-          id: data.id,
-          correctPosition: player.position
-        });
-      }
+    const match = getSocketMatch(socket);
+    if (match) {
+      match.handleMove(socket, data);
     }
   });
-  
+
   // Handle ability usage
   socket.on('ability', (data) => {
-    const player = players.get(data.id);
-    
-    if (player) {
-      console.log(`Player ${data.id} used ability at ${JSON.stringify(data.target)}`);
-      
-      // Find targets at the given position
-      const targets = findTargetsAtPosition(data.target, player.team);
-      
-      // Apply damage or effects to targets
-      targets.forEach(target => {
-        const targetPlayer = players.get(target);
-        
-        if (targetPlayer) {
-          // Check for friendly fire setting
-          if (!gameSettings.friendlyFire && targetPlayer.team === player.team) {
-            return;
-          }
-          
-          // Apply damage
-          targetPlayer.hp -= data.damage || 1;
-          
-          // Log the hit
-          eventLog.push({
-            type: 'ability',
-            time: Date.now() - gameStartTime,
-            attacker: player.id,
-            target: target,
-            damage: data.damage || 1
-          });
-          
-          // Check if target is defeated
-          if (targetPlayer.hp <= 0) {
-            handlePlayerDefeat(targetPlayer, player);
-          }
-        }
-      });
-      
-      // Broadcast updated player states
-      io.emit('update', Object.fromEntries(players));
+    const match = getSocketMatch(socket);
+    if (match) {
+      match.handleAbility(socket, data);
+    }
+  });
+
+  // Handle using an item from the inventory
+  socket.on('useItem', (data) => {
+    const match = getSocketMatch(socket);
+    if (match) {
+      match.handleUseItem(socket, data);
+    }
+  });
+
+  // Handle a rook player's answer to a castling request
+  socket.on('castlingResponse', (data) => {
+    const match = getSocketMatch(socket);
+    if (match) {
+      match.handleCastlingResponse(socket, data);
+    }
+  });
+
+  // Handle a pawn choosing its promotion
+  socket.on('promote', (data) => {
+    const match = getSocketMatch(socket);
+    if (match) {
+      match.handlePromotion(socket, data);
+    }
+  });
+
+  // Give a reconnecting player their reserved piece back
+  socket.on('resumeSession', (data) => {
+    const match = data && matches.get(data.matchId);
+    const previousId = match && match.findSession(data.token);
+
+    if (!previousId) {
+      socket.emit('sessionExpired');
+      return;
+    }
+
+    // Drop the old connection if the server has not noticed it closing yet
+    const staleSocket = io.sockets.sockets.get(previousId);
+    if (staleSocket) {
+      delete staleSocket.data.matchId;
+      staleSocket.disconnect(true);
     }
+
+    leaveMatch(socket);
+    socket.leave(LOBBY_ROOM);
+    socket.join(match.room);
+    socket.data.matchId = match.id;
+
+    match.resumeSession(socket, previousId);
   });
-  
+
   // Handle disconnection
   socket.on('disconnect', () => {
     console.log('Player disconnected:', socket.id);
-    
-    // Get the player data before deleting
-    const player = players.get(socket.id);
-    
-    // Remove player from the game
-    players.delete(socket.id);
-    
-    // Free up the assigned position if the player had one
-    if (player && player.team && player.type && player.position) {
-      releaseAssignedPosition(player.team, player.type, player.position);
+
+    // Keep the piece reserved for a while in case the player reconnects
+    const match = getSocketMatch(socket);
+    if (match && match.handleDisconnect(socket.id)) {
+      return;
     }
-    
-    // Update all clients
-    io.emit('update', Object.fromEntries(players));
-  });
-  
-  // Handle game events from clients
-  socket.on('gameEvent', (eventData) => {
-    console.log('Game event received:', eventData);
-    
-    // Add to event log
-    eventLog.push({
-      ...eventData,
-      time: Date.now() - gameStartTime
-    });
-    
-    // Broadcast to all players
-    io.emit('gameEvent', eventData);
+
+    leaveMatch(socket);
   });
 });
 
 /**
- * Assign a piece from traditional chess positions
- * @param {string} team - The team ('white' or 'black')
- * @returns {Object|null} - The assigned piece type and position or null if all positions are taken
+ * Check an admin request's bearer token against ADMIN_TOKEN. The admin API
+ * is disabled when no token is set.
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Function} next - Continue to the route
  */
-function assignPieceFromTraditionalPosition(team) {
-  // Initialize the assigned positions tracking if it doesn't exist
-  if (!assignedPositions[team]) {
-    assignedPositions[team] = {};
-  }
-  
-  // Try to find an unassigned position
-  for (const pieceType in traditionalPositions[team]) {
-    // Initialize tracking for this piece type if needed
-    if (!assignedPositions[team][pieceType]) {
-      assignedPositions[team][pieceType] = Array(traditionalPositions[team][pieceType].length).fill(false);
-    }
-    
-    // Check if any positions are still available for this piece type
-    const availablePositionIndex = assignedPositions[team][pieceType].findIndex(isAssigned => !isAssigned);
-    
-    if (availablePositionIndex !== -1) {
-      // Mark this position as assigned
-      assignedPositions[team][pieceType][availablePositionIndex] = true;
-      
-      // Return the piece type and position
-      return {
-        type: pieceType,
-        position: traditionalPositions[team][pieceType][availablePositionIndex]
-      };
-    }
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    res.status(503).json({ error: 'Admin API is disabled' });
+    return;
   }
-  
-  // All positions are taken
-  return null;
-}
 
-/**
- * Release an assigned position
- * @param {string} team - The team
- * @param {string} pieceType - The piece type
- * @param {Object} position - The position to release
- */
-function releaseAssignedPosition(team, pieceType, position) {
-  // Check if we have this team and piece type tracked
-  if (!assignedPositions[team] || !assignedPositions[team][pieceType]) {
+  // Compare digests so the check takes the same time for any token
+  const header = req.get('authorization') || '';
+  const given = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+
+  if (!crypto.timingSafeEqual(digest(given), digest(token))) {
+    res.status(401).json({ error: 'Invalid admin token' });
     return;
   }
-  
-  // Find the position in the traditional positions
-  const positions = traditionalPositions[team][pieceType];
-  const positionIndex = positions.findIndex(pos => 
-    pos.x === position.x && pos.z === position.z
-  );
-  
-  // If found, mark it as unassigned
-  if (positionIndex !== -1) {
-    assignedPositions[team][pieceType][positionIndex] = false;
-  }
-}
 
-/**
- * Get a random piece type
- * @returns {string} - A random piece type
- */
-function getRandomPieceType() {
-  const pieceTypes = ['pawn', 'rook', 'knight', 'bishop', 'queen', 'king'];
-  return pieceTypes[Math.floor(Math.random() * pieceTypes.length)];
+  next();
 }
 
 /**
- * Validate a player's move request
- * @param {Object} player - Player data
- * @param {Object} newPosition - Requested new position
- * @returns {boolean} - Whether the move is valid
+ * Send a recording's notation as a PGN download
+ * @param {Response} res - Express response
+ * @param {string|null} filePath - Path to the replay file
+ * @param {string} baseName - Download file name without extension
  */
-function validateMove(player, newPosition) {
-  // Basic validation
-  if (!newPosition || typeof newPosition.x !== 'number' || typeof newPosition.z !== 'number') {
-    return false;
-  }
-  
-  // Check board boundaries
-  if (newPosition.x < 0 || newPosition.x >= 8 || newPosition.z < 0 || newPosition.z >= 8) {
-    return false;
-  }
-  
-  // Check movement distance based on piece type
-  const distX = Math.abs(newPosition.x - player.position.x);
-  const distZ = Math.abs(newPosition.z - player.position.z);
-  
-  // Different rules for different piece types
-  switch (player.type) {
-    case 'pawn':
-      // Pawns move forward (z direction changes based on team)
-      const forwardDirection = player.team === 'white' ? -1 : 1;
-      const isStartingPosition = 
-        (player.team === 'white' && player.position.z === 6) ||
-        (player.team === 'black' && player.position.z === 1);
-      
-      // Forward movement (1 square, or 2 from starting position)
-      if (distX === 0) {
-        const zChange = newPosition.z - player.position.z;
-        // Check direction is correct and distance is valid
-        if (Math.sign(zChange) === forwardDirection) {
-          if (Math.abs(zChange) === 1) return true;
-          if (isStartingPosition && Math.abs(zChange) === 2) return true;
-        }
-      }
-      // Diagonal capture (must have a piece to capture)
-      else if (distX === 1 && distZ === 1) {
-        const zChange = newPosition.z - player.position.z;
-        if (Math.sign(zChange) === forwardDirection) {
-          return isPositionOccupied(newPosition, player.team); // Can only move diagonally to capture
-        }
-      }
-      return false;
-      
-    case 'rook':
-      // Rooks move in straight lines
-      return (distX === 0 || distZ === 0) && !isPathBlocked(player.position, newPosition);
-      
-    case 'knight':
-      // Knights move in L-shape (2 in one direction, 1 in perpendicular direction)
-      return (distX === 2 && distZ === 1) || (distX === 1 && distZ === 2);
-      
-    case 'bishop':
-      // Bishops move diagonally
-      return distX === distZ && !isPathBlocked(player.position, newPosition);
-      
-    case 'queen':
-      // Queens move like rooks or bishops
-      return ((distX === 0 || distZ === 0) || distX === distZ) && !isPathBlocked(player.position, newPosition);
-      
-    case 'king':
-      // Kings move 1 square in any direction
-      return distX <= 1 && distZ <= 1;
-      
-    default:
-      // Default simple distance check (1 square in any direction)
-      return distX <= 1 && distZ <= 1;
+function sendNotation(res, filePath, baseName) {
+  if (!filePath) {
+    res.status(404).json({ error: 'Recording not found' });
+    return;
   }
+
+  readReplay(filePath)
+    .then(entries => {
+      res.type('application/x-chess-pgn');
+      res.attachment(`${baseName}.pgn`);
+      res.send(createNotation(entries));
+    })
+    .catch(error => {
+      console.error('Failed to create notation:', error);
+      res.status(500).json({ error: 'Could not read recording' });
+    });
 }
 
 /**
- * Check if a path is blocked by other pieces
- * @param {Object} start - Starting position
- * @param {Object} end - Ending position
- * @returns {boolean} - Whether the path is blocked
+ * Create a new match and list it in the lobby
+ * @param {Object} options - Match options passed to the Match constructor
+ * @returns {Match} - The new match
  */
-function isPathBlocked(start, end) {
-  // Get the direction of movement
-  const dirX = end.x > start.x ? 1 : (end.x < start.x ? -1 : 0);
-  const dirZ = end.z > start.z ? 1 : (end.z < start.z ? -1 : 0);
-  
-  // Check each position along the path
-  let currX = start.x + dirX;
-  let currZ = start.z + dirZ;
-  
-  while (currX !== end.x || currZ !== end.z) {
-    if (isAnyPieceAt({ x: currX, z: currZ })) {
-      return true; // Path is blocked
+function createMatch(options = {}) {
+  const id = String(nextMatchId++);
+  const match = new Match(io, id, {
+    ...options,
+    onPhaseChange: broadcastMatchList,
+    onPlayerLeave: closeMatchIfEmpty,
+    onEvent: (match, entry) => {
+      profiles.recordMatchEvent(match, entry);
+      ratings.recordMatchEvent(match, entry);
     }
-    
-    currX += dirX;
-    currZ += dirZ;
-  }
-  
-  return false;
+  });
+  matches.set(id, match);
+
+  console.log(`Match ${id} created: ${match.name}`);
+  broadcastMatchList();
+
+  return match;
 }
 
 /**
- * Check if any piece is at the given position
- * @param {Object} position - Position to check
- * @returns {boolean} - Whether a piece is at the position
+ * Move a socket from the lobby (or its current match) into a match
+ * @param {Socket} socket - The joining socket
+ * @param {Match} match - The match to join
+ * @param {string} [role] - 'player' to take a piece or 'spectator' to watch
  */
-function isAnyPieceAt(position) {
-  for (const [id, player] of players.entries()) {
-    if (player.position.x === position.x && player.position.z === position.z) {
-      return true;
-    }
+function joinMatch(socket, match, role = 'player') {
+  leaveMatch(socket);
+
+  socket.leave(LOBBY_ROOM);
+  socket.join(match.room);
+  socket.data.matchId = match.id;
+
+  socket.emit('matchJoined', { ...match.getSummary(), role });
+
+  if (role === 'spectator') {
+    match.addSpectator(socket);
+    broadcastMatchList();
   }
-  return false;
 }
 
 /**
- * Check if a position is occupied by an opponent
- * @param {Object} position - Position to check
- * @param {string} team - The team checking
- * @returns {boolean} - Whether an opponent's piece is at the position
+ * Remove a socket from its match and return it to the lobby
+ * @param {Socket} socket - The leaving socket
  */
-function isPositionOccupied(position, team) {
-  for (const [id, player] of players.entries()) {
-    if (player.position.x === position.x && player.position.z === position.z && player.team !== team) {
-      return true;
-    }
-  }
-  return false;
+function leaveMatch(socket) {
+  const match = getSocketMatch(socket);
+  if (!match) return;
+
+  socket.leave(match.room);
+  socket.join(LOBBY_ROOM);
+  delete socket.data.matchId;
+
+  match.removePlayer(socket.id);
 }
 
 /**
- * Find targets at a specific position
- * @param {Object} position - Target position
- * @param {string} attackerTeam - Team of the attacker
- * @returns {Array} - Array of player IDs at the position
+ * Close a match that nobody is playing in any more
+ * @param {Match} match - The match a player just left
  */
-function findTargetsAtPosition(position, attackerTeam) {
-  const targets = [];
-  
-  players.forEach((player, id) => {
-    if (player.position.x === position.x && player.position.z === position.z) {
-      // Don't target yourself or teammates unless friendly fire is on
-      if (!gameSettings.friendlyFire && player.team === attackerTeam) {
-        return;
-      }
-      targets.push(id);
-    }
-  });
-  
-  return targets;
+function closeMatchIfEmpty(match) {
+  if (match.isEmpty() && !match.persistent) {
+    match.stop();
+    matches.delete(match.id);
+    console.log(`Match ${match.id} closed`);
+  }
+
+  broadcastMatchList();
 }
 
 /**
- * Handle player defeat
- * @param {Object} defeatedPlayer - The player who was defeated
- * @param {Object} attacker - The player who defeated them
+ * Get the match a socket has joined
+ * @param {Socket} socket - The socket
+ * @returns {Match|undefined} - The socket's match, if any
  */
-function handlePlayerDefeat(defeatedPlayer, attacker) {
-  console.log(`Player ${defeatedPlayer.id} was defeated by ${attacker.id}`);
-  
-  // Log the defeat
-  eventLog.push({
-    type: 'defeat',
-    time: Date.now() - gameStartTime,
-    defeatedId: defeatedPlayer.id,
-    attackerId: attacker.id
-  });
-  
-  // Handle respawn if enabled
-  if (gameSettings.respawnEnabled) {
-    defeatedPlayer.respawning = true;
-    defeatedPlayer.respawnTime = Date.now() + (gameSettings.respawnTime * 1000);
-    
-    // Set a timeout to respawn the player
-    setTimeout(() => {
-      if (players.has(defeatedPlayer.id)) {
-        const player = players.get(defeatedPlayer.id);
-        
-        // Reset HP and position
-        player.hp = getBaseHp(player.type);
-        player.position = getRandomPosition();
-        player.respawning = false;
-        
-        // Notify all players
-        io.emit('playerRespawn', {
-          id: player.id,
-          position: player.position,
-          hp: player.hp
-        });
-        
-        // Update player states
-        io.emit('update', Object.fromEntries(players));
-      }
-    }, gameSettings.respawnTime * 1000);
-  } else {
-    // Or mark as spectator if no respawn
-    defeatedPlayer.hp = 0;
-    defeatedPlayer.isSpectator = true;
-  }
+function getSocketMatch(socket) {
+  return matches.get(socket.data.matchId);
 }
 
 /**
- * Get base HP for a piece type
- * @param {string} type - Piece type
- * @returns {number} - Base HP
+ * Get the lobby listing for all open matches
+ * @returns {Array} - Match summaries
  */
-function getBaseHp(type) {
-  const hpMap = {
-    'pawn': 5,
-    'rook': 7,
-    'knight': 7,
-    'bishop': 7,
-    'queen': 10,
-    'king': 15
-  };
-  
-  return hpMap[type] || 5;
+function getMatchList() {
+  return Array.from(matches.values()).map(match => match.getSummary());
 }
 
 /**
- * Get a random position on the board
- * @returns {Object} - Random position {x, z}
+ * Send the current match list to everyone in the lobby
  */
-function getRandomPosition() {
-  return {
-    x: Math.floor(Math.random() * 8),
-    z: Math.floor(Math.random() * 8)
-  };
+function broadcastMatchList() {
+  io.to(LOBBY_ROOM).emit('matchList', getMatchList());
 }
 
-// Start the server
+// Start the server once the shared rules are loaded
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+loadSharedModules().then(() => {
+  // Open a default match so players can jump straight in
+  createMatch({ name: 'Main Arena', persistent: true });
+
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}).catch(error => {
+  console.error('Failed to load shared modules:', error);
+  process.exit(1);
+});
+
+// Write any pending profile changes before shutting down
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    profiles.save();
+    process.exit(0);
+  });
+});
@@ -0,0 +1,31 @@
+// shared.js - Loads the ES modules in /shared that the server and the browser both use
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Filled in by loadSharedModules() before the server starts
+const shared = {};
+
+/**
+ * Import the shared ES modules so CommonJS server code can use them
+ * @returns {Promise} - Resolves once every shared module is loaded
+ */
+async function loadSharedModules() {
+  const chessRulesUrl = pathToFileURL(path.join(__dirname, '../shared/chessRules.js')).href;
+  const { ChessRules, promotionTypes, STARTING_FEN, parseFEN, toSquareName } = await import(chessRulesUrl);
+
+  shared.ChessRules = ChessRules;
+  shared.promotionTypes = promotionTypes;
+  shared.STARTING_FEN = STARTING_FEN;
+  shared.parseFEN = parseFEN;
+  shared.toSquareName = toSquareName;
+
+  const abilityAreasUrl = pathToFileURL(path.join(__dirname, '../shared/abilityAreas.js')).href;
+  const { getAbilityArea, isAimInRange, getAffectedSquares } = await import(abilityAreasUrl);
+
+  shared.getAbilityArea = getAbilityArea;
+  shared.isAimInRange = isAimInRange;
+  shared.getAffectedSquares = getAffectedSquares;
+}
+
+module.exports = { shared, loadSharedModules };
@@ -0,0 +1,578 @@
+// simulation.js - Server-side simulation of events, loot and neutral entities
+
+const { isInventoryItem, hasFreeSlot } = require('./items');
+const { applyEffect, hasEffect, tickEffects } = require('./effects');
+const { getDistance } = require('./abilities');
+
+// How often the simulation advances (milliseconds)
+const TICK_INTERVAL = 250;
+
+// Vine Beast stats: HP, contact damage and seconds between its moves
+const VINE_BEAST_HP = 10;
+const VINE_BEAST_DAMAGE = 2;
+const VINE_BEAST_MOVE_TIME = 3;
+
+// Seconds a Vine Beast's loot is kept for the piece that defeated it
+const LOOT_RESERVE_TIME = 10;
+
+// Loot types that can spawn on the board
+const lootTypes = [
+  'doubleMove',  // Two moves in one turn
+  'petalShield', // Blocks one capture
+  'vineTrap'     // Immobilizes an enemy
+];
+
+/**
+ * Simulation class to run the timed events, loot drops and neutral
+ * entities of a match so every client sees the same world
+ */
+class Simulation {
+  /**
+   * @param {Match} match - The match this simulation belongs to
+   */
+  constructor(match) {
+    this.match = match;
+
+    // World state
+    this.lootItems = new Map();
+    this.entities = new Map();
+
+    // Timing variables
+    this.time = 0;
+    this.eventTimer = 0;
+    this.lootTimer = 0;
+    this.lateGameSurge = false;
+
+    this.interval = null;
+    this.lastTickTime = 0;
+    this.nextEntityId = 1;
+    this.nextLootId = 1;
+  }
+
+  /**
+   * Start ticking the simulation
+   */
+  start() {
+    if (this.interval) return;
+
+    this.lastTickTime = Date.now();
+    this.interval = setInterval(() => {
+      const now = Date.now();
+      this.update((now - this.lastTickTime) / 1000);
+      this.lastTickTime = now;
+    }, TICK_INTERVAL);
+  }
+
+  /**
+   * Stop ticking the simulation
+   */
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * Get the world state to send to a newly joined client
+   * @returns {Object} - Loot, entities and timers
+   */
+  getState() {
+    return {
+      loot: Array.from(this.lootItems.values()),
+      entities: Array.from(this.entities.values()),
+      eventTimer: this.eventTimer,
+      lootTimer: this.lootTimer
+    };
+  }
+
+  /**
+   * Update simulation state
+   * @param {number} delta - Time delta since last update in seconds
+   */
+  update(delta) {
+    // Update simulation time
+    this.time += delta;
+    this.eventTimer += delta;
+    this.lootTimer += delta;
+
+    // Count down status effects and run their ticks, in overtime too
+    this.updateEffects(delta);
+
+    // Check if the match has run out of time. Events and loot drops stop
+    // then, but creatures keep going through overtime.
+    if (this.time >= this.match.settings.gameLength) {
+      this.match.handleTimeUp();
+      if (!this.match.isActive()) return;
+    } else {
+      // Check if it's time for a random event
+      if (this.eventTimer >= this.match.settings.eventInterval) {
+        this.triggerEvent();
+        this.eventTimer = 0;
+      }
+
+      // Check if it's time for a loot drop
+      if (this.lootTimer >= this.match.settings.lootInterval) {
+        this.spawnLoot();
+        this.lootTimer = 0;
+      }
+    }
+
+    // Update all entities
+    this.updateEntities();
+  }
+
+  /**
+   * Update the status effects on every piece
+   * @param {number} delta - Time delta since last update in seconds
+   */
+  updateEffects(delta) {
+    let changed = false;
+
+    this.match.players.forEach(player => {
+      // Pieces that join or respawn during the surge get it too
+      if (this.lateGameSurge && player.hp > 0 && !hasEffect(player, 'surge')) {
+        applyEffect(player, 'surge', { source: 'lateGameSurge' });
+        changed = true;
+      }
+
+      if (tickEffects(this.match, player, delta)) {
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      this.match.broadcastPlayers();
+    }
+  }
+
+  /**
+   * Trigger a random game event
+   */
+  triggerEvent() {
+    // Event selection logic
+    const events = [
+      this.eventPetalRain.bind(this),    // Extra loot drops
+      this.eventKingsCall.bind(this),    // Kings gain HP
+      this.eventWildSprout.bind(this)    // Spawn a neutral entity
+    ];
+
+    // Check if we're in late game
+    if (this.time > this.match.settings.lateGameTime) {
+      // Trigger late game surge
+      this.eventLateGameSurge();
+    } else {
+      // Pick a random event
+      const randomEvent = events[Math.floor(Math.random() * events.length)];
+      randomEvent();
+    }
+  }
+
+  /**
+   * Log an event and broadcast its start to all players
+   * @param {string} eventType - Event type
+   * @param {Object} data - Extra event data for clients
+   */
+  announceEvent(eventType, data = {}) {
+    const eventData = {
+      eventType: eventType,
+      time: this.time,
+      ...data
+    };
+
+    this.match.logEvent('event', {
+      eventType: eventType,
+      ...data
+    });
+
+    this.match.broadcast('eventStart', eventData);
+  }
+
+  /**
+   * Event: Petal Rain - Spawn extra loot
+   */
+  eventPetalRain() {
+    console.log(`[${this.match.id}] Event: Petal Rain - Extra loot spawned!`);
+
+    this.announceEvent('petalRain');
+
+    // Spawn 3 loot items
+    for (let i = 0; i < 3; i++) {
+      this.spawnLoot(true); // true = event loot (might have better items)
+    }
+  }
+
+  /**
+   * Event: King's Call - Kings gain HP
+   */
+  eventKingsCall() {
+    console.log(`[${this.match.id}] Event: King's Call - Kings gain +5 HP!`);
+
+    // Heal all kings
+    const kings = [];
+    this.match.players.forEach(p => {
+      if (p.type === 'king' && p.hp > 0) {
+        p.hp = Math.min(p.hp + 5, 20);
+        kings.push({ id: p.id, team: p.team, position: p.position, hp: p.hp });
+      }
+    });
+
+    this.announceEvent('kingsCall', { kings });
+    this.match.broadcastPlayers();
+  }
+
+  /**
+   * Event: Wild Sprout - Spawn a neutral entity
+   */
+  eventWildSprout() {
+    console.log(`[${this.match.id}] Event: Wild Sprout - A Vine Beast has spawned!`);
+
+    // Create a neutral "Vine Beast" entity
+    const position = this.findEmptyPosition();
+    if (!position) return; // Board is full
+
+    const vineId = `vine_${this.nextEntityId++}`;
+    const entity = {
+      id: vineId,
+      type: 'vineBeast',
+      position: position,
+      hp: VINE_BEAST_HP,
+      isNeutral: true,
+      lastMoveTime: this.time
+    };
+    this.entities.set(vineId, entity);
+
+    this.announceEvent('wildSprout', { entityId: vineId });
+    this.match.logEvent('entityUpdate', { entity: { ...entity } });
+    this.match.broadcast('entityUpdate', entity);
+  }
+
+  /**
+   * Event: Late Game Surge - Reduce ability cooldowns
+   */
+  eventLateGameSurge() {
+    console.log(`[${this.match.id}] Event: Late Game Surge - Ability cooldowns reduced!`);
+
+    // updateEffects puts the surge on every piece from the next tick
+    this.lateGameSurge = true;
+    this.announceEvent('lateGameSurge');
+  }
+
+  /**
+   * Spawn a loot item on the board
+   * @param {boolean} isEventLoot - Whether this is from an event (better items)
+   * @param {Object} [options] - Where to drop the loot and who it is for
+   * @param {Object} [options.position] - Square to drop it on, instead of a random empty one
+   * @param {string} [options.ownerId] - Player who may pick it up before anyone else
+   * @returns {Object|null} - The loot, or null if the board is full
+   */
+  spawnLoot(isEventLoot = false, options = {}) {
+    // Find a random empty position on the board
+    const position = options.position ? { ...options.position } : this.findEmptyPosition();
+    if (!position) return null; // Board is full
+
+    // Choose a random loot type
+    const lootType = lootTypes[Math.floor(Math.random() * lootTypes.length)];
+
+    // Create loot item
+    const lootId = `loot_${this.nextLootId++}`;
+    const loot = {
+      id: lootId,
+      type: lootType,
+      position: position,
+      duration: lootType === 'petalShield' ? 10 : 5, // Duration in seconds
+      isEventLoot: isEventLoot,
+      ownerId: options.ownerId || null,
+      reservedUntil: options.ownerId ? this.time + LOOT_RESERVE_TIME : 0
+    };
+    this.lootItems.set(lootId, loot);
+
+    console.log(`[${this.match.id}] Spawned ${lootType} loot at (${position.x}, ${position.z})`);
+
+    this.match.logEvent('lootSpawn', {
+      lootId: lootId,
+      lootType: lootType,
+      position: position,
+      ownerId: loot.ownerId
+    });
+
+    // Broadcast to all players
+    this.match.broadcast('lootSpawn', loot);
+
+    return loot;
+  }
+
+  /**
+   * Find an empty position on the board
+   * @returns {Object|null} - Empty position {x, z} or null if none found
+   */
+  findEmptyPosition() {
+    // Try up to 20 random positions
+    for (let i = 0; i < 20; i++) {
+      const position = {
+        x: Math.floor(Math.random() * 8),
+        z: Math.floor(Math.random() * 8)
+      };
+
+      // Check if position is empty
+      if (this.isPositionEmpty(position)) {
+        return position;
+      }
+    }
+
+    // If we couldn't find a random empty spot, check all positions systematically
+    for (let x = 0; x < 8; x++) {
+      for (let z = 0; z < 8; z++) {
+        const position = { x, z };
+        if (this.isPositionEmpty(position)) {
+          return position;
+        }
+      }
+    }
+
+    return null; // Board is completely full
+  }
+
+  /**
+   * Check if a position is empty (no players, entities, or loot)
+   * @param {Object} position - Position to check {x, z}
+   * @returns {boolean} - Whether the position is empty
+   */
+  isPositionEmpty(position) {
+    const isAt = item => item.position &&
+      item.position.x === position.x &&
+      item.position.z === position.z;
+
+    // Check for players, entities and loot
+    for (const player of this.match.players.values()) {
+      if (isAt(player)) return false;
+    }
+
+    for (const entity of this.entities.values()) {
+      if (isAt(entity)) return false;
+    }
+
+    for (const loot of this.lootItems.values()) {
+      if (isAt(loot)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Update all entities in the simulation
+   */
+  updateEntities() {
+    // Update neutral entities like the Vine Beast
+    this.entities.forEach((entity, id) => {
+      // Neutral entities act every few seconds
+      if (entity.isNeutral && entity.lastMoveTime + VINE_BEAST_MOVE_TIME < this.time) {
+        this.moveNeutralEntity(id);
+        entity.lastMoveTime = this.time;
+      }
+    });
+
+    // Update loot items (check for collection, expiry, etc.)
+    this.lootItems.forEach((loot, id) => {
+      // Check if any player is on the loot
+      this.match.players.forEach(player => {
+        if (player.hp > 0 &&
+            !player.respawning &&
+            player.position &&
+            player.position.x === loot.position.x &&
+            player.position.z === loot.position.z &&
+            (player.id === loot.ownerId || loot.reservedUntil <= this.time)) {
+          // Player collected loot
+          this.collectLoot(player.id, id);
+        }
+      });
+    });
+  }
+
+  /**
+   * Move a Vine Beast one square towards the nearest piece, or attack the
+   * pieces on its square if it has caught up with one
+   * @param {string} entityId - ID of the entity to move
+   */
+  moveNeutralEntity(entityId) {
+    const entity = this.entities.get(entityId);
+    if (!entity) return;
+
+    const target = this.findNearestPiece(entity.position);
+
+    // A beast standing on a piece keeps attacking it instead of moving on
+    if (!target || getDistance(entity.position, target.position) > 0) {
+      const moves = [
+        { x: entity.position.x + 1, z: entity.position.z },
+        { x: entity.position.x - 1, z: entity.position.z },
+        { x: entity.position.x, z: entity.position.z + 1 },
+        { x: entity.position.x, z: entity.position.z - 1 }
+      ].filter(move => move.x >= 0 && move.x < 8 && move.z >= 0 && move.z < 8);
+
+      // Chase the nearest piece, or wander when there is nobody to chase
+      const distanceTo = move => Math.abs(target.position.x - move.x) + Math.abs(target.position.z - move.z);
+      const closest = target
+        ? moves.filter(move => distanceTo(move) === Math.min(...moves.map(distanceTo)))
+        : moves;
+
+      entity.position = closest[Math.floor(Math.random() * closest.length)];
+      this.match.logEvent('entityUpdate', { entity: { ...entity } });
+      this.match.broadcast('entityUpdate', entity);
+    }
+
+    this.hitPiecesAt(entity);
+  }
+
+  /**
+   * Find the living piece closest to a square
+   * @param {Object} position - Square {x, z}
+   * @returns {Object|null} - The closest player, or null if nobody is on the board
+   */
+  findNearestPiece(position) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    this.match.players.forEach(player => {
+      if (player.hp <= 0 || player.respawning || !player.position) return;
+
+      const distance = Math.abs(player.position.x - position.x) + Math.abs(player.position.z - position.z);
+      if (distance < nearestDistance) {
+        nearest = player;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Deal a Vine Beast's contact damage to every piece on its square
+   * @param {Object} entity - The Vine Beast
+   */
+  hitPiecesAt(entity) {
+    let playersHit = false;
+
+    this.match.players.forEach(player => {
+      if (player.hp > 0 &&
+          !player.respawning &&
+          player.position &&
+          player.position.x === entity.position.x &&
+          player.position.z === entity.position.z) {
+        // A Petal Shield takes the hit instead
+        if (this.match.absorbHit(entity, player, 'vineBeast')) return;
+
+        // Deal damage to player
+        player.hp -= VINE_BEAST_DAMAGE;
+        playersHit = true;
+
+        this.match.logEvent('damage', {
+          attacker: entity.id,
+          target: player.id,
+          damage: VINE_BEAST_DAMAGE,
+          hp: player.hp
+        });
+
+        // Check if player is defeated
+        if (player.hp <= 0) {
+          this.match.handlePlayerDefeat(player, entity);
+        }
+      }
+    });
+
+    if (playersHit) {
+      this.match.broadcastPlayers();
+    }
+  }
+
+  /**
+   * Get the neutral entities on a square
+   * @param {Object} position - Square {x, z}
+   * @returns {Array} - Entities on the square
+   */
+  getEntitiesAt(position) {
+    return Array.from(this.entities.values()).filter(entity =>
+      entity.position.x === position.x && entity.position.z === position.z
+    );
+  }
+
+  /**
+   * Damage a neutral entity with a player's ability. A defeated Vine Beast
+   * drops event loot that only its killer can pick up for a while.
+   * @param {Object} entity - The entity hit
+   * @param {number} damage - Damage dealt
+   * @param {Object} attacker - The attacking player
+   * @param {string} abilityName - Name of the ability used
+   */
+  damageEntity(entity, damage, attacker, abilityName) {
+    entity.hp -= damage;
+
+    this.match.logEvent('ability', {
+      attacker: attacker.id,
+      target: entity.id,
+      ability: abilityName,
+      damage: damage,
+      hp: entity.hp
+    });
+    this.match.logEvent('entityUpdate', { entity: { ...entity } });
+    this.match.broadcast('entityUpdate', entity);
+
+    if (entity.hp > 0) return;
+
+    this.entities.delete(entity.id);
+    console.log(`[${this.match.id}] ${attacker.id} defeated ${entity.id}`);
+
+    const loot = this.spawnLoot(true, { position: entity.position, ownerId: attacker.id });
+
+    this.match.logEvent('entityDefeat', {
+      entityId: entity.id,
+      killerId: attacker.id,
+      lootId: loot ? loot.id : null
+    });
+    this.match.broadcast('entityDefeat', {
+      entityId: entity.id,
+      killerId: attacker.id,
+      lootId: loot ? loot.id : null
+    });
+  }
+
+  /**
+   * Handle a player collecting loot
+   * @param {string} playerId - ID of the player collecting the loot
+   * @param {string} lootId - ID of the loot being collected
+   */
+  collectLoot(playerId, lootId) {
+    const player = this.match.players.get(playerId);
+    const loot = this.lootItems.get(lootId);
+
+    if (!player || !loot) return;
+
+    // A full inventory leaves the item on the board
+    if (isInventoryItem(loot.type) && !hasFreeSlot(player)) return;
+
+    console.log(`[${this.match.id}] Player ${playerId} collected ${loot.type} loot`);
+
+    // Shields are worn straight away, other items are kept to use later
+    if (loot.type === 'petalShield') {
+      applyEffect(player, 'petalShield', { source: lootId, duration: loot.duration });
+    } else if (isInventoryItem(loot.type)) {
+      player.inventory.push({ type: loot.type, duration: loot.duration });
+    }
+
+    // Remove loot from board
+    this.lootItems.delete(lootId);
+
+    this.match.logEvent('lootCollect', {
+      playerId: playerId,
+      lootId: lootId,
+      lootType: loot.type
+    });
+
+    // Broadcast collection to all players
+    this.match.broadcast('lootCollect', {
+      playerId: playerId,
+      lootId: lootId,
+      lootType: loot.type
+    });
+    this.match.broadcastPlayers();
+  }
+}
+
+module.exports = { Simulation };
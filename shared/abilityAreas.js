@@ -0,0 +1,122 @@
+// abilityAreas.js - The squares each ability hits, shared by the client's
+// aiming preview and the server so both agree on the affected tiles.
+// Like chessRules.js it must not depend on Three.js or the DOM.
+
+// Area shape of each piece type's ability. Targeted abilities must be aimed at
+// a square within range; the others only use the aim for their direction.
+const abilityAreas = {
+  'pawn': { shape: 'single', targeted: true },        // Hop Attack: the aimed square
+  'rook': { shape: 'line', targeted: false },         // Rock Smash: along a rank or file
+  'knight': { shape: 'knightJump', targeted: false }, // Tail Whip: every knight jump around the caster
+  'bishop': { shape: 'diagonalCone', targeted: false }, // Leaf Gust: a cone along a diagonal
+  'queen': { shape: 'square', targeted: true },       // Petal Storm: 3x3 around the aimed square
+  'king': { shape: 'self', targeted: false }          // Royal Aura: around the caster
+};
+
+// Fallback for unknown piece types, like the server's basic attack
+const basicArea = { shape: 'single', targeted: true };
+
+// Jumps a knight can make, which Tail Whip sweeps
+const knightOffsets = [
+  { x: 1, z: 2 }, { x: 2, z: 1 }, { x: 2, z: -1 }, { x: 1, z: -2 },
+  { x: -1, z: -2 }, { x: -2, z: -1 }, { x: -2, z: 1 }, { x: -1, z: 2 }
+];
+
+/**
+ * Get the area definition of a piece type's ability
+ * @param {string} type - Piece type
+ * @returns {Object} - Area {shape, targeted}
+ */
+export function getAbilityArea(type) {
+  return abilityAreas[type] || basicArea;
+}
+
+/**
+ * Check whether an aimed square is close enough for a targeted ability.
+ * Abilities that only take a direction from the aim can be aimed anywhere.
+ * @param {string} type - Piece type
+ * @param {Object} origin - The caster's square {x, z}
+ * @param {Object} target - The aimed square {x, z}
+ * @param {number} range - Ability range in squares
+ * @returns {boolean} - Whether the aim is in range
+ */
+export function isAimInRange(type, origin, target, range) {
+  if (!getAbilityArea(type).targeted) {
+    return true;
+  }
+  
+  return Math.max(Math.abs(target.x - origin.x), Math.abs(target.z - origin.z)) <= range;
+}
+
+/**
+ * Get every board square an ability hits
+ * @param {string} type - Piece type of the caster
+ * @param {Object} origin - The caster's square {x, z}
+ * @param {Object} target - The aimed square {x, z}
+ * @param {number} range - Ability range in squares
+ * @returns {Array} - Squares {x, z} on the board, without duplicates
+ */
+export function getAffectedSquares(type, origin, target, range) {
+  const dx = target.x - origin.x;
+  const dz = target.z - origin.z;
+  const squares = [];
+  
+  switch (getAbilityArea(type).shape) {
+    case 'line': {
+      // Follow whichever of the rank or file the aim is closer to
+      if (dx === 0 && dz === 0) break;
+      const step = Math.abs(dx) >= Math.abs(dz)
+        ? { x: Math.sign(dx), z: 0 }
+        : { x: 0, z: Math.sign(dz) };
+      
+      for (let i = 1; i <= range; i++) {
+        squares.push({ x: origin.x + step.x * i, z: origin.z + step.z * i });
+      }
+      break;
+    }
+    
+    case 'diagonalCone': {
+      // The diagonal towards the aim, widened by one square on each side
+      const sx = Math.sign(dx) || 1;
+      const sz = Math.sign(dz) || 1;
+      
+      for (let a = 1; a <= range; a++) {
+        for (let b = 1; b <= range; b++) {
+          if (Math.abs(a - b) <= 1) {
+            squares.push({ x: origin.x + sx * a, z: origin.z + sz * b });
+          }
+        }
+      }
+      break;
+    }
+    
+    case 'knightJump':
+      knightOffsets.forEach(offset => {
+        squares.push({ x: origin.x + offset.x, z: origin.z + offset.z });
+      });
+      break;
+    
+    case 'square':
+      for (let x = -1; x <= 1; x++) {
+        for (let z = -1; z <= 1; z++) {
+          squares.push({ x: target.x + x, z: target.z + z });
+        }
+      }
+      break;
+    
+    case 'self':
+      for (let x = -range; x <= range; x++) {
+        for (let z = -range; z <= range; z++) {
+          squares.push({ x: origin.x + x, z: origin.z + z });
+        }
+      }
+      break;
+    
+    default:
+      squares.push({ x: target.x, z: target.z });
+  }
+  
+  return squares.filter(square =>
+    square.x >= 0 && square.x < 8 && square.z >= 0 && square.z < 8
+  );
+}
@@ -0,0 +1,1102 @@
+// ChessRules.js - Chess logic implementation shared by the client and the server.
+// It must not depend on Three.js or the DOM so it can run in Node as well.
+
+// Piece types a pawn can be promoted to
+export const promotionTypes = ['queen', 'rook', 'bishop', 'knight'];
+
+// Step directions used to build attack maps
+const orthogonalDirections = [
+  { x: 0, z: 1 }, { x: 0, z: -1 }, { x: 1, z: 0 }, { x: -1, z: 0 }
+];
+const diagonalDirections = [
+  { x: 1, z: 1 }, { x: 1, z: -1 }, { x: -1, z: 1 }, { x: -1, z: -1 }
+];
+const knightOffsets = [
+  { x: 1, z: 2 }, { x: 2, z: 1 }, { x: 2, z: -1 }, { x: 1, z: -2 },
+  { x: -1, z: -2 }, { x: -2, z: -1 }, { x: -2, z: 1 }, { x: -1, z: 2 }
+];
+
+// Standard chess starting position in Forsyth-Edwards Notation. The first
+// rank listed (rank 8) is z = 0, Black's back rank.
+export const STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// FEN letters for each piece type
+const fenLetters = {
+  'pawn': 'p',
+  'rook': 'r',
+  'knight': 'n',
+  'bishop': 'b',
+  'queen': 'q',
+  'king': 'k'
+};
+
+/**
+ * Get the algebraic name of a square, e.g. {x: 4, z: 7} is 'e1'
+ * @param {Object} position - {x, z} coordinates
+ * @returns {string} - Square name
+ */
+export function toSquareName(position) {
+  return 'abcdefgh'[position.x] + (8 - position.z);
+}
+
+/**
+ * Get the board coordinates of an algebraic square name
+ * @param {string} name - Square name such as 'e1'
+ * @returns {Object|null} - {x, z} coordinates, or null if the name is invalid
+ */
+export function fromSquareName(name) {
+  if (typeof name !== 'string' || !/^[a-h][1-8]$/.test(name)) {
+    return null;
+  }
+  
+  return { x: name.charCodeAt(0) - 97, z: 8 - Number(name[1]) };
+}
+
+/**
+ * Parse a FEN string
+ * @param {string} fen - Board in Forsyth-Edwards Notation
+ * @returns {Object} - {pieces: [{type, team, position, hasMoved}], castling, enPassant}
+ * @throws {Error} - If the FEN is malformed
+ */
+export function parseFEN(fen) {
+  if (typeof fen !== 'string') {
+    throw new Error('FEN must be a string');
+  }
+  
+  const [placement, , castling = '-', enPassant = '-'] = fen.trim().split(/\s+/);
+  const ranks = placement.split('/');
+  if (ranks.length !== 8) {
+    throw new Error(`FEN must have 8 ranks, got ${ranks.length}`);
+  }
+  
+  const types = Object.fromEntries(Object.entries(fenLetters).map(([type, letter]) => [letter, type]));
+  const pieces = [];
+  
+  ranks.forEach((rank, z) => {
+    let x = 0;
+    for (const char of rank) {
+      if (/[1-8]/.test(char)) {
+        x += Number(char);
+        continue;
+      }
+      
+      const type = types[char.toLowerCase()];
+      if (!type || x > 7) {
+        throw new Error(`Invalid FEN rank "${rank}"`);
+      }
+      
+      pieces.push({
+        type,
+        team: char === char.toUpperCase() ? 'white' : 'black',
+        position: { x, z },
+        hasMoved: false
+      });
+      x++;
+    }
+    
+    if (x !== 8) {
+      throw new Error(`FEN rank "${rank}" does not cover 8 squares`);
+    }
+  });
+  
+  // Kings and rooks without castling rights count as having moved
+  const castlingSquares = {
+    K: [{ x: 4, z: 7 }, { x: 7, z: 7 }],
+    Q: [{ x: 4, z: 7 }, { x: 0, z: 7 }],
+    k: [{ x: 4, z: 0 }, { x: 7, z: 0 }],
+    q: [{ x: 4, z: 0 }, { x: 0, z: 0 }]
+  };
+  const unmoved = Object.keys(castlingSquares)
+    .filter(right => castling.includes(right))
+    .flatMap(right => castlingSquares[right]);
+  
+  pieces.forEach(piece => {
+    if (piece.type === 'king' || piece.type === 'rook') {
+      piece.hasMoved = !unmoved.some(square =>
+        square.x === piece.position.x && square.z === piece.position.z
+      );
+    }
+  });
+  
+  return {
+    pieces,
+    castling,
+    enPassant: fromSquareName(enPassant)
+  };
+}
+
+export class ChessRules {
+  constructor(boardState) {
+    // Initialize with empty 8x8 board if not provided
+    this.boardState = boardState || Array(8).fill().map(() => Array(8).fill(null));
+    this.pieces = new Map(); // Store all pieces by their ID
+    this.lastMove = null; // Most recent move on the board, for en passant
+    
+    // Whether moving onto an opponent captures it, and how much damage that
+    // does (0 defeats it outright). En passant always defeats the pawn.
+    this.captureRule = { classicCapture: true, captureDamage: 0 };
+  }
+
+  /**
+   * Update the board state
+   * @param {Array} newBoardState - 2D array representing the chess board
+   */
+  updateBoardState(newBoardState) {
+    this.boardState = newBoardState;
+  }
+  
+  /**
+   * Remember the most recent move on the board, so pawns can capture en passant
+   * @param {Object|null} move - The move {id, type, from, to}
+   */
+  setLastMove(move) {
+    this.lastMove = move || null;
+  }
+  
+  /**
+   * Set how captures play out, so tried moves leave the board as the match would
+   * @param {Object} rule - {classicCapture, captureDamage}
+   */
+  setCaptureRule(rule) {
+    this.captureRule = {
+      classicCapture: !!rule.classicCapture,
+      captureDamage: rule.captureDamage || 0
+    };
+  }
+  
+  /**
+   * Register a piece in the game
+   * @param {string} id - Unique identifier for the piece
+   * @param {Object} pieceData - Data about the piece (type, team, position,
+   *   hasMoved for castling and, in Free-for-All, the faction it fights for)
+   */
+  registerPiece(id, pieceData) {
+    if (!id || !pieceData) {
+      console.error("Invalid piece data:", id, pieceData);
+      return null;
+    }
+    
+    // Store the piece in our pieces map
+    this.pieces.set(id, {
+      ...pieceData,
+      id
+    });
+    
+    // If the piece has a valid position, update the board state
+    if (pieceData.position && 
+        this.isValidPosition(pieceData.position) && 
+        pieceData.type && 
+        pieceData.team) {
+      
+      // Initialize board state if needed
+      if (!this.boardState) {
+        this.boardState = Array(8).fill().map(() => Array(8).fill(null));
+      }
+      
+      // Ensure the board has all rows initialized
+      for (let i = 0; i < 8; i++) {
+        if (!this.boardState[i]) {
+          this.boardState[i] = Array(8).fill(null);
+        }
+      }
+      
+      // Place the piece on the board
+      const z = pieceData.position.z;
+      const x = pieceData.position.x;
+      
+      if (z >= 0 && z < 8 && x >= 0 && x < 8) {
+        this.boardState[z][x] = {
+          id,
+          type: pieceData.type,
+          team: pieceData.team,
+          faction: pieceData.faction || pieceData.team
+        };
+      }
+    }
+    
+    return this.pieces.get(id);
+  }
+  
+  /**
+   * Remove a piece from the game
+   * @param {string} id - The piece ID
+   * @returns {boolean} - Whether the piece was removed
+   */
+  removePiece(id) {
+    const piece = this.pieces.get(id);
+    if (!piece) {
+      return false;
+    }
+    
+    // Only clear the square if this piece is the one standing on it
+    const square = this.getPieceAt(piece.position);
+    this.pieces.delete(id);
+    if (square && square.id === id) {
+      this.boardState[piece.position.z][piece.position.x] = null;
+      this.restoreSquare(piece.position);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get a piece by its ID
+   * @param {string} id - The piece ID
+   * @returns {Object|undefined} - The piece data or undefined if not found
+   */
+  getPieceById(id) {
+    return this.pieces.get(id);
+  }
+  
+  /**
+   * Update a piece's position
+   * @param {string} id - The piece ID
+   * @param {Object} newPosition - New {x, z} coordinates
+   * @returns {boolean} - Whether the update was successful
+   */
+  updatePiecePosition(id, newPosition) {
+    const piece = this.pieces.get(id);
+    if (!piece || !this.isValidPosition(newPosition)) {
+      return false;
+    }
+    
+    // Remove from old position
+    if (piece.position && this.isValidPosition(piece.position)) {
+      const oldZ = piece.position.z;
+      const oldX = piece.position.x;
+      
+      if (oldZ >= 0 && oldZ < 8 && oldX >= 0 && oldX < 8 && 
+          this.boardState[oldZ] && this.boardState[oldZ][oldX] &&
+          this.boardState[oldZ][oldX].id === id) {
+        this.boardState[oldZ][oldX] = null;
+      }
+    }
+    
+    // Update position in the piece data
+    const oldPosition = piece.position;
+    piece.position = {
+      x: newPosition.x,
+      z: newPosition.z
+    };
+    
+    // A piece that shared the old square has it to itself again
+    if (oldPosition && this.isValidPosition(oldPosition) && !this.getPieceAt(oldPosition)) {
+      this.restoreSquare(oldPosition);
+    }
+    
+    // Make sure the board is initialized
+    this.ensureBoardInitialized();
+    
+    // Add to new position on board
+    const z = newPosition.z;
+    const x = newPosition.x;
+    
+    if (z >= 0 && z < 8 && x >= 0 && x < 8) {
+      this.boardState[z][x] = {
+        id,
+        type: piece.type,
+        team: piece.team,
+        faction: piece.faction || piece.team
+      };
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Put a piece back in an empty square's cell if it still stands there.
+   * Without classic capture pieces can share a square, but the board only
+   * holds one of them.
+   * @param {Object} position - {x, z} coordinates
+   */
+  restoreSquare(position) {
+    for (const piece of this.pieces.values()) {
+      if (piece.type && piece.team && piece.position &&
+          piece.position.x === position.x && piece.position.z === position.z) {
+        this.boardState[position.z][position.x] = {
+          id: piece.id,
+          type: piece.type,
+          team: piece.team,
+          faction: piece.faction || piece.team
+        };
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Ensure the board is fully initialized
+   */
+  ensureBoardInitialized() {
+    if (!this.boardState || !Array.isArray(this.boardState)) {
+      this.boardState = Array(8).fill().map(() => Array(8).fill(null));
+      return;
+    }
+    
+    // Ensure all rows exist
+    for (let z = 0; z < 8; z++) {
+      if (!this.boardState[z] || !Array.isArray(this.boardState[z])) {
+        this.boardState[z] = Array(8).fill(null);
+      } else {
+        // Ensure all cells in the row exist
+        for (let x = 0; x < 8; x++) {
+          if (this.boardState[z][x] === undefined) {
+            this.boardState[z][x] = null;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Check if a position is within the board boundaries
+   * @param {Object} position - {x, z} coordinates
+   * @returns {boolean} - Whether the position is valid
+   */
+  isValidPosition(position) {
+    // First check if position is defined and has whole-number coordinates
+    if (!position || !Number.isInteger(position.x) || !Number.isInteger(position.z)) {
+      return false;
+    }
+    
+    return position.x >= 0 && position.x < 8 && position.z >= 0 && position.z < 8;
+  }
+
+  /**
+   * Check if a pawn on this square has reached the far rank
+   * @param {Object} position - {x, z} coordinates
+   * @param {string} team - 'white' or 'black'
+   * @returns {boolean} - Whether a pawn of this team promotes here
+   */
+  isPromotionSquare(position, team) {
+    if (!this.isValidPosition(position)) {
+      return false;
+    }
+    
+    return position.z === (team === 'white' ? 0 : 7);
+  }
+
+  /**
+   * Get all valid moves for a piece at the given position. Special moves carry
+   * extra data: `castling` {rookId, rookFrom, rookTo} or `enPassant` {capturedId, capturedPosition}.
+   * @param {Object} position - {x, z} coordinates
+   * @returns {Array} - Array of valid move positions
+   */
+  getValidMoves(position) {
+    if (!this.isValidPosition(position)) {
+      return [];
+    }
+
+    const piece = this.getPieceAt(position);
+    if (!piece) {
+      return [];
+    }
+
+    // Pieces capture anyone outside their faction, which is their team
+    // except in Free-for-All
+    const faction = piece.faction || piece.team;
+
+    try {
+      switch (piece.type.toLowerCase()) {
+        case 'pawn':
+          return this.getPawnMoves(position, piece.team, faction);
+        case 'rook':
+          return this.getRookMoves(position, faction);
+        case 'knight':
+          return this.getKnightMoves(position, faction);
+        case 'bishop':
+          return this.getBishopMoves(position, faction);
+        case 'queen':
+          return this.getQueenMoves(position, faction);
+        case 'king':
+          return this.getKingMoves(position, faction);
+        default:
+          return [];
+      }
+    } catch (error) {
+      console.error("Error getting valid moves:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the piece at the given position
+   * @param {Object} position - {x, z} coordinates
+   * @returns {Object|null} - The piece at the position or null if empty
+   */
+  getPieceAt(position) {
+    if (!this.isValidPosition(position)) {
+      return null;
+    }
+    
+    this.ensureBoardInitialized();
+    
+    const z = position.z;
+    const x = position.x;
+    
+    if (z >= 0 && z < 8 && x >= 0 && x < 8) {
+      return this.boardState[z][x];
+    }
+    
+    return null;
+  }
+
+  /**
+   * Check if a position is occupied
+   * @param {Object} position - {x, z} coordinates
+   * @returns {boolean} - Whether the position is occupied
+   */
+  isPositionOccupied(position) {
+    // First validate the position is defined and valid
+    if (!position || typeof position.x === 'undefined' || typeof position.z === 'undefined') {
+      return false;
+    }
+    
+    if (!this.isValidPosition(position)) {
+      return false;
+    }
+    
+    return this.getPieceAt(position) !== null;
+  }
+
+  /**
+   * Check if a position is occupied by an opponent's piece
+   * @param {Object} position - {x, z} coordinates
+   * @param {string} faction - The moving piece's faction
+   * @returns {boolean} - Whether the position is occupied by an opponent
+   */
+  isOpponentPiece(position, faction) {
+    const piece = this.getPieceAt(position);
+    return !!piece && piece.faction !== faction;
+  }
+
+  /**
+   * Get all valid moves for a pawn
+   * @param {Object} position - {x, z} coordinates
+   * @param {string} team - 'white' or 'black', which sets the direction of travel
+   * @param {string} [faction] - The pawn's faction, if it is not its team
+   * @returns {Array} - Array of valid move positions
+   */
+  getPawnMoves(position, team, faction = team) {
+    const moves = [];
+    const direction = team === 'white' ? -1 : 1;
+    const isStartingRow = team === 'white' ? position.z === 6 : position.z === 1;
+
+    // Forward move
+    const forward = { x: position.x, z: position.z + direction };
+    if (this.isValidPosition(forward) && !this.isPositionOccupied(forward)) {
+      moves.push(forward);
+
+      // Double forward from starting position
+      if (isStartingRow) {
+        const doubleForward = { x: position.x, z: position.z + 2 * direction };
+        if (this.isValidPosition(doubleForward) && !this.isPositionOccupied(doubleForward)) {
+          moves.push(doubleForward);
+        }
+      }
+    }
+
+    // Capture diagonally
+    const captureMoves = [
+      { x: position.x - 1, z: position.z + direction },
+      { x: position.x + 1, z: position.z + direction }
+    ];
+
+    for (const move of captureMoves) {
+      if (this.isValidPosition(move) && this.isOpponentPiece(move, faction)) {
+        moves.push(move);
+      }
+    }
+
+    // En passant - capture an opposing pawn that just stepped two squares past us
+    const lastMove = this.lastMove;
+    if (lastMove && lastMove.type === 'pawn' &&
+        Math.abs(lastMove.to.z - lastMove.from.z) === 2 &&
+        lastMove.to.z === position.z &&
+        Math.abs(lastMove.to.x - position.x) === 1) {
+      const passedPawn = this.getPieceAt(lastMove.to);
+      const move = { x: lastMove.to.x, z: position.z + direction };
+
+      if (passedPawn && passedPawn.id === lastMove.id && passedPawn.faction !== faction &&
+          this.isValidPosition(move) && !this.isPositionOccupied(move)) {
+        moves.push({
+          ...move,
+          enPassant: {
+            capturedId: passedPawn.id,
+            capturedPosition: { x: lastMove.to.x, z: lastMove.to.z }
+          }
+        });
+      }
+    }
+
+    return moves;
+  }
+
+  /**
+   * Get all valid moves for a rook
+   * @param {Object} position - {x, z} coordinates
+   * @param {string} faction - The moving piece's faction
+   * @returns {Array} - Array of valid move positions
+   */
+  getRookMoves(position, faction) {
+    const moves = [];
+    const directions = [
+      { x: 0, z: 1 },  // Down
+      { x: 0, z: -1 }, // Up
+      { x: 1, z: 0 },  // Right
+      { x: -1, z: 0 }  // Left
+    ];
+
+    for (const dir of directions) {
+      for (let i = 1; i < 8; i++) {
+        const move = { x: position.x + dir.x * i, z: position.z + dir.z * i };
+        
+        if (!this.isValidPosition(move)) {
+          break;
+        }
+        
+        if (!this.isPositionOccupied(move)) {
+          moves.push(move);
+        } else {
+          if (this.isOpponentPiece(move, faction)) {
+            moves.push(move);
+          }
+          break;
+        }
+      }
+    }
+
+    return moves;
+  }
+
+  /**
+   * Get all valid moves for a knight
+   * @param {Object} position - {x, z} coordinates
+   * @param {string} faction - The moving piece's faction
+   * @returns {Array} - Array of valid move positions
+   */
+  getKnightMoves(position, faction) {
+    const moves = [];
+    const knightMoves = [
+      { x: 1, z: 2 },
+      { x: 2, z: 1 },
+      { x: 2, z: -1 },
+      { x: 1, z: -2 },
+      { x: -1, z: -2 },
+      { x: -2, z: -1 },
+      { x: -2, z: 1 },
+      { x: -1, z: 2 }
+    ];
+
+    for (const move of knightMoves) {
+      const newPos = { x: position.x + move.x, z: position.z + move.z };
+      
+      if (this.isValidPosition(newPos) && 
+          (!this.isPositionOccupied(newPos) || this.isOpponentPiece(newPos, faction))) {
+        moves.push(newPos);
+      }
+    }
+
+    return moves;
+  }
+
+  /**
+   * Get all valid moves for a bishop
+   * @param {Object} position - {x, z} coordinates
+   * @param {string} faction - The moving piece's faction
+   * @returns {Array} - Array of valid move positions
+   */
+  getBishopMoves(position, faction) {
+    const moves = [];
+    const directions = [
+      { x: 1, z: 1 },   // Down-Right
+      { x: 1, z: -1 },  // Up-Right
+      { x: -1, z: 1 },  // Down-Left
+      { x: -1, z: -1 }  // Up-Left
+    ];
+
+    for (const dir of directions) {
+      for (let i = 1; i < 8; i++) {
+        const move = { x: position.x + dir.x * i, z: position.z + dir.z * i };
+        
+        if (!this.isValidPosition(move)) {
+          break;
+        }
+        
+        if (!this.isPositionOccupied(move)) {
+          moves.push(move);
+        } else {
+          if (this.isOpponentPiece(move, faction)) {
+            moves.push(move);
+          }
+          break;
+        }
+      }
+    }
+
+    return moves;
+  }
+
+  /**
+   * Get all valid moves for a queen
+   * @param {Object} position - {x, z} coordinates
+   * @param {string} faction - The moving piece's faction
+   * @returns {Array} - Array of valid move positions
+   */
+  getQueenMoves(position, faction) {
+    // Queen moves like a rook and bishop combined
+    return [
+      ...this.getRookMoves(position, faction),
+      ...this.getBishopMoves(position, faction)
+    ];
+  }
+
+  /**
+   * Get all valid moves for a king
+   * @param {Object} position - {x, z} coordinates
+   * @param {string} faction - The moving piece's faction
+   * @returns {Array} - Array of valid move positions
+   */
+  getKingMoves(position, faction) {
+    const moves = [];
+    const directions = [
+      { x: 0, z: 1 },   // Down
+      { x: 1, z: 1 },   // Down-Right
+      { x: 1, z: 0 },   // Right
+      { x: 1, z: -1 },  // Up-Right
+      { x: 0, z: -1 },  // Up
+      { x: -1, z: -1 }, // Up-Left
+      { x: -1, z: 0 },  // Left
+      { x: -1, z: 1 }   // Down-Left
+    ];
+
+    for (const dir of directions) {
+      const move = { x: position.x + dir.x, z: position.z + dir.z };
+      
+      if (this.isValidPosition(move) && 
+          (!this.isPositionOccupied(move) || this.isOpponentPiece(move, faction))) {
+        moves.push(move);
+      }
+    }
+
+    return [...moves, ...this.getCastlingMoves(position, faction)];
+  }
+
+  /**
+   * Get castling moves for a king - two squares towards an unmoved rook of
+   * the same faction with nothing in between
+   * @param {Object} position - {x, z} coordinates of the king
+   * @param {string} faction - The king's faction
+   * @returns {Array} - Castling moves, each with its rook move in `castling`
+   */
+  getCastlingMoves(position, faction) {
+    const king = this.getPieceAt(position);
+    const kingData = king && this.pieces.get(king.id);
+    if (!kingData || kingData.type !== 'king' || kingData.hasMoved) {
+      return [];
+    }
+
+    // The king must still be on its starting square
+    const backRank = kingData.team === 'white' ? 7 : 0;
+    if (position.x !== 4 || position.z !== backRank) {
+      return [];
+    }
+
+    const moves = [];
+    const sides = [
+      { rookX: 7, kingX: 6, rookToX: 5 }, // Kingside
+      { rookX: 0, kingX: 2, rookToX: 3 }  // Queenside
+    ];
+
+    for (const side of sides) {
+      const rook = this.getPieceAt({ x: side.rookX, z: backRank });
+      const rookData = rook && this.pieces.get(rook.id);
+      if (!rookData || rook.type !== 'rook' || rook.faction !== faction || rookData.hasMoved) {
+        continue;
+      }
+
+      // Every square between the king and the rook must be empty
+      const step = side.rookX > position.x ? 1 : -1;
+      let pathClear = true;
+      for (let x = position.x + step; x !== side.rookX; x += step) {
+        if (this.isPositionOccupied({ x, z: backRank })) {
+          pathClear = false;
+          break;
+        }
+      }
+
+      if (pathClear) {
+        moves.push({
+          x: side.kingX,
+          z: backRank,
+          castling: {
+            rookId: rook.id,
+            rookFrom: { x: side.rookX, z: backRank },
+            rookTo: { x: side.rookToX, z: backRank }
+          }
+        });
+      }
+    }
+
+    return moves;
+  }
+
+  /**
+   * Copy the board so moves can be tried without changing this one
+   * @returns {ChessRules} - An independent copy
+   */
+  clone() {
+    this.ensureBoardInitialized();
+    
+    const copy = new ChessRules(this.boardState.map(row => row.map(cell => cell && { ...cell })));
+    this.pieces.forEach((piece, id) => {
+      copy.pieces.set(id, { ...piece, position: piece.position && { ...piece.position } });
+    });
+    copy.lastMove = this.lastMove;
+    copy.captureRule = this.captureRule;
+    
+    return copy;
+  }
+
+  /**
+   * List every piece on the board with its square, including pieces sharing
+   * a square with another
+   * @returns {Array} - Board entries {id, type, team, faction, position}
+   */
+  getBoardPieces() {
+    const pieces = [];
+    this.pieces.forEach(piece => {
+      if (piece.type && piece.team && this.isValidPosition(piece.position)) {
+        pieces.push({
+          id: piece.id,
+          type: piece.type,
+          team: piece.team,
+          faction: piece.faction || piece.team,
+          position: { x: piece.position.x, z: piece.position.z }
+        });
+      }
+    });
+    return pieces;
+  }
+
+  /**
+   * Get the squares a piece attacks. Unlike its moves, this includes squares
+   * held by its own side and a pawn's diagonals whether or not they are occupied.
+   * @param {Object} position - {x, z} coordinates of the piece
+   * @param {Object} [piece] - The attacking piece, if it shares its square
+   * @returns {Array} - Attacked squares
+   */
+  getAttackedSquares(position, piece = this.getPieceAt(position)) {
+    if (!piece) {
+      return [];
+    }
+    
+    const squares = [];
+    const addRays = (directions, maxSteps) => {
+      for (const dir of directions) {
+        for (let i = 1; i <= maxSteps; i++) {
+          const square = { x: position.x + dir.x * i, z: position.z + dir.z * i };
+          if (!this.isValidPosition(square)) break;
+          
+          squares.push(square);
+          if (this.isPositionOccupied(square)) break;
+        }
+      }
+    };
+    
+    switch (piece.type.toLowerCase()) {
+      case 'pawn': {
+        const direction = piece.team === 'white' ? -1 : 1;
+        addRays([{ x: -1, z: direction }, { x: 1, z: direction }], 1);
+        break;
+      }
+      case 'rook':
+        addRays(orthogonalDirections, 7);
+        break;
+      case 'knight':
+        addRays(knightOffsets, 1);
+        break;
+      case 'bishop':
+        addRays(diagonalDirections, 7);
+        break;
+      case 'queen':
+        addRays([...orthogonalDirections, ...diagonalDirections], 7);
+        break;
+      case 'king':
+        addRays([...orthogonalDirections, ...diagonalDirections], 1);
+        break;
+    }
+    
+    return squares;
+  }
+
+  /**
+   * Build an attack map for a faction
+   * @param {string} faction - The attacking faction (a team outside Free-for-All)
+   * @returns {Array} - 8x8 array [z][x] counting the faction's attackers on each square
+   */
+  getAttackMap(faction) {
+    const attackMap = Array(8).fill().map(() => Array(8).fill(0));
+    
+    for (const piece of this.getBoardPieces()) {
+      if (piece.faction !== faction) continue;
+      
+      for (const square of this.getAttackedSquares(piece.position, piece)) {
+        attackMap[square.z][square.x]++;
+      }
+    }
+    
+    return attackMap;
+  }
+
+  /**
+   * Check if any piece outside a faction attacks a square
+   * @param {Object} position - {x, z} coordinates
+   * @param {string} faction - The defending faction
+   * @returns {boolean} - Whether an opponent attacks the square
+   */
+  isSquareAttacked(position, faction) {
+    for (const piece of this.getBoardPieces()) {
+      if (piece.faction === faction) continue;
+      
+      if (this.getAttackedSquares(piece.position, piece).some(square =>
+        square.x === position.x && square.z === position.z
+      )) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Find a faction's kings
+   * @param {string} faction - The faction
+   * @returns {Array} - Board entries for the faction's kings
+   */
+  getKings(faction) {
+    return this.getBoardPieces().filter(piece => piece.type === 'king' && piece.faction === faction);
+  }
+
+  /**
+   * Check if a faction's king is attacked
+   * @param {string} faction - The faction (a team outside Free-for-All)
+   * @returns {boolean} - Whether any of the faction's kings is in check
+   */
+  isInCheck(faction) {
+    return this.getKings(faction).some(king => this.isSquareAttacked(king.position, faction));
+  }
+
+  /**
+   * Get the piece a move captures: an opponent on the destination square, or
+   * the pawn passed by an en passant capture
+   * @param {Object} position - {x, z} coordinates of the moving piece
+   * @param {Object} move - A move from getValidMoves
+   * @returns {Object|null} - The captured piece, or null if the move captures nothing
+   */
+  getCapturedPiece(position, move) {
+    const piece = this.getPieceAt(position);
+    if (!piece) {
+      return null;
+    }
+    
+    if (move.enPassant) {
+      return this.getPieceAt(move.enPassant.capturedPosition);
+    }
+    
+    const target = this.getPieceAt(move);
+    if (target && target.id !== piece.id && target.faction !== piece.faction) {
+      return target;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Check whether a capture would defeat the captured piece under the capture rule
+   * @param {string} id - The captured piece's ID
+   * @param {Object} move - A move from getValidMoves
+   * @returns {boolean} - Whether the piece would leave the board
+   */
+  isCaptureDefeat(id, move) {
+    if (move.enPassant) {
+      return true;
+    }
+    
+    const { classicCapture, captureDamage } = this.captureRule;
+    if (!classicCapture) {
+      return false;
+    }
+    
+    const piece = this.pieces.get(id);
+    return captureDamage <= 0 || !piece || typeof piece.hp !== 'number' || captureDamage >= piece.hp;
+  }
+
+  /**
+   * Try a move on a copy of the board
+   * @param {Object} position - {x, z} coordinates of the moving piece
+   * @param {Object} move - A move from getValidMoves
+   * @returns {ChessRules} - The board after the move
+   */
+  simulateMove(position, move) {
+    const board = this.clone();
+    const piece = board.getPieceAt(position);
+    if (!piece) {
+      return board;
+    }
+    
+    // Captured pieces leave the board if the capture defeats them, and
+    // otherwise share the square with the piece that moved there
+    const captured = board.getCapturedPiece(position, move);
+    if (captured && board.isCaptureDefeat(captured.id, move)) {
+      board.removePiece(captured.id);
+    }
+    if (move.castling) {
+      board.updatePiecePosition(move.castling.rookId, move.castling.rookTo);
+    }
+    
+    board.updatePiecePosition(piece.id, { x: move.x, z: move.z });
+    return board;
+  }
+
+  /**
+   * Get the moves for a piece that do not leave its own king in check
+   * @param {Object} position - {x, z} coordinates
+   * @returns {Array} - Array of legal move positions
+   */
+  getLegalMoves(position) {
+    const piece = this.getPieceAt(position);
+    if (!piece) {
+      return [];
+    }
+    
+    const faction = piece.faction || piece.team;
+    
+    return this.getValidMoves(position).filter(move => {
+      // A king may not castle out of or through check
+      if (move.castling) {
+        const step = move.x > position.x ? 1 : -1;
+        for (let x = position.x; x !== move.x; x += step) {
+          if (this.isSquareAttacked({ x, z: position.z }, faction)) {
+            return false;
+          }
+        }
+      }
+      
+      return !this.simulateMove(position, move).isInCheck(faction);
+    });
+  }
+
+  /**
+   * Check if any piece of a faction has a legal move
+   * @param {string} faction - The faction
+   * @returns {boolean} - Whether the faction can move
+   */
+  hasLegalMoves(faction) {
+    return this.getBoardPieces().some(piece =>
+      piece.faction === faction && this.getLegalMoves(piece.position).length > 0
+    );
+  }
+
+  /**
+   * Check if a faction's king is in check with no legal way out
+   * @param {string} faction - The faction
+   * @returns {boolean} - Whether the faction is checkmated
+   */
+  isCheckmate(faction) {
+    return this.isInCheck(faction) && !this.hasLegalMoves(faction);
+  }
+
+  /**
+   * Check if a faction with a king is not in check but has no legal move
+   * @param {string} faction - The faction
+   * @returns {boolean} - Whether the faction is stalemated
+   */
+  isStalemate(faction) {
+    return this.getKings(faction).length > 0 &&
+      !this.isInCheck(faction) && !this.hasLegalMoves(faction);
+  }
+
+  /**
+   * Replace the board with a position from a FEN string
+   * @param {string} fen - Board in Forsyth-Edwards Notation
+   * @throws {Error} - If the FEN is malformed
+   */
+  loadFEN(fen) {
+    const { pieces, enPassant } = parseFEN(fen);
+    
+    this.boardState = Array(8).fill().map(() => Array(8).fill(null));
+    this.pieces = new Map();
+    this.lastMove = null;
+    
+    pieces.forEach(piece => {
+      this.registerPiece(`${piece.team}-${piece.type}-${toSquareName(piece.position)}`, piece);
+    });
+    
+    // An en passant square means a pawn has just stepped two squares past it
+    if (enPassant) {
+      const direction = enPassant.z === 2 ? 1 : -1;
+      const to = { x: enPassant.x, z: enPassant.z + direction };
+      const pawn = this.getPieceAt(to);
+      
+      if (pawn && pawn.type === 'pawn') {
+        this.lastMove = { id: pawn.id, type: 'pawn', from: { x: to.x, z: to.z - 2 * direction }, to };
+      }
+    }
+  }
+
+  /**
+   * Export the board as a FEN string. Chess Royale has no turns, so the side
+   * to move is always given as white.
+   * @returns {string} - Board in Forsyth-Edwards Notation
+   */
+  toFEN() {
+    this.ensureBoardInitialized();
+    
+    const ranks = this.boardState.map(row => {
+      let rank = '';
+      let empty = 0;
+      
+      row.forEach(cell => {
+        if (!cell) {
+          empty++;
+          return;
+        }
+        
+        if (empty > 0) {
+          rank += empty;
+          empty = 0;
+        }
+        const letter = fenLetters[cell.type] || 'p';
+        rank += cell.team === 'white' ? letter.toUpperCase() : letter;
+      });
+      
+      return empty > 0 ? rank + empty : rank;
+    });
+    
+    // Castling rights need an unmoved king and rook on their starting squares
+    const isUnmoved = (position, type, team) => {
+      const cell = this.getPieceAt(position);
+      const piece = cell && this.pieces.get(cell.id);
+      return !!piece && cell.type === type && cell.team === team && !piece.hasMoved;
+    };
+    let castling = '';
+    if (isUnmoved({ x: 4, z: 7 }, 'king', 'white')) {
+      if (isUnmoved({ x: 7, z: 7 }, 'rook', 'white')) castling += 'K';
+      if (isUnmoved({ x: 0, z: 7 }, 'rook', 'white')) castling += 'Q';
+    }
+    if (isUnmoved({ x: 4, z: 0 }, 'king', 'black')) {
+      if (isUnmoved({ x: 7, z: 0 }, 'rook', 'black')) castling += 'k';
+      if (isUnmoved({ x: 0, z: 0 }, 'rook', 'black')) castling += 'q';
+    }
+    
+    // The square a pawn just skipped over can be captured en passant
+    let enPassant = '-';
+    const lastMove = this.lastMove;
+    if (lastMove && lastMove.type === 'pawn' && Math.abs(lastMove.to.z - lastMove.from.z) === 2) {
+      enPassant = toSquareName({ x: lastMove.to.x, z: (lastMove.from.z + lastMove.to.z) / 2 });
+    }
+    
+    return `${ranks.join('/')} w ${castling || '-'} ${enPassant} 0 1`;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,49 @@
+// chessRules.test.js - Legal moves follow the match's capture rule
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { shared, loadSharedModules } = require('../server/shared');
+
+test.before(() => loadSharedModules());
+
+/**
+ * Set up a white king on e1 checked by a black rook on e5, with a white
+ * knight on d3 that can jump onto the rook
+ * @param {Object} rule - Capture rule {classicCapture, captureDamage}
+ * @returns {ChessRules} - The board
+ */
+function createBoard(rule) {
+  const rules = new shared.ChessRules();
+  rules.registerPiece('king', { type: 'king', team: 'white', position: { x: 4, z: 7 }, hp: 10 });
+  rules.registerPiece('knight', { type: 'knight', team: 'white', position: { x: 3, z: 5 }, hp: 5 });
+  rules.registerPiece('rook', { type: 'rook', team: 'black', position: { x: 4, z: 3 }, hp: 6 });
+  rules.setCaptureRule(rule);
+  return rules;
+}
+
+/**
+ * Check whether the knight may jump onto the rook's square
+ * @param {ChessRules} rules - The board
+ * @returns {boolean} - Whether the move is legal
+ */
+function canTakeRook(rules) {
+  return rules.getLegalMoves({ x: 3, z: 5 }).some(move => move.x === 4 && move.z === 3);
+}
+
+test('a capture that defeats the checking piece is legal', () => {
+  assert.ok(canTakeRook(createBoard({ classicCapture: true, captureDamage: 0 })));
+  assert.ok(canTakeRook(createBoard({ classicCapture: true, captureDamage: 6 })));
+});
+
+test('a piece left standing after a capture still gives check', () => {
+  assert.ok(!canTakeRook(createBoard({ classicCapture: false, captureDamage: 0 })));
+  assert.ok(!canTakeRook(createBoard({ classicCapture: true, captureDamage: 2 })));
+});
+
+test('a piece leaving a shared square hands it back to the other', () => {
+  const rules = createBoard({ classicCapture: false, captureDamage: 0 });
+  rules.updatePiecePosition('knight', { x: 4, z: 3 });
+  rules.updatePiecePosition('knight', { x: 3, z: 5 });
+  assert.strictEqual(rules.getPieceAt({ x: 4, z: 3 }).id, 'rook');
+  assert.ok(rules.isInCheck('white'));
+});
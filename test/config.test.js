@@ -0,0 +1,116 @@
+// config.test.js - Game settings are validated before they are used
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getGameSettings, updateGameSettings, validateSettings } = require('../server/config');
+
+// Settings files are written here
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chess-royale-config-'));
+
+/**
+ * Load a fresh copy of the config module from a settings file
+ * @param {string} fileName - File name, whose extension picks JSON or YAML
+ * @param {string} text - File contents
+ * @returns {Object} - The settings the file results in
+ */
+function loadConfigFile(fileName, text) {
+  process.env.GAME_CONFIG = path.join(configDir, fileName);
+  fs.writeFileSync(process.env.GAME_CONFIG, text);
+
+  delete require.cache[require.resolve('../server/config')];
+  const config = require('../server/config');
+  config.loadGameConfig();
+  return config.getGameSettings();
+}
+
+test.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+test('valid changes pass', () => {
+  assert.deepStrictEqual(validateSettings({ mode: 'ffa', maxPlayers: 8, respawnTime: 0, friendlyFire: true }), []);
+});
+
+test('each invalid change is reported', () => {
+  assert.deepStrictEqual(validateSettings(null), ['Settings must be an object']);
+  assert.deepStrictEqual(validateSettings([]), ['Settings must be an object']);
+  assert.deepStrictEqual(validateSettings({
+    speed: 2,
+    respawnEnabled: 'yes',
+    mode: 'duel',
+    maxPlayers: 2.5,
+    minPlayers: 0,
+    respawnTime: -1
+  }), [
+    'Unknown setting: speed',
+    'respawnEnabled must be a boolean',
+    'mode must be "team" or "ffa"',
+    'maxPlayers must be a whole number of at least 1',
+    'minPlayers must be a whole number of at least 1',
+    'respawnTime must not be negative'
+  ]);
+});
+
+test('times a match depends on must be more than 0', () => {
+  assert.deepStrictEqual(validateSettings({ gameLength: 0, countdownTime: 0, eventInterval: 0, lootInterval: 0 }), [
+    'gameLength must be more than 0',
+    'countdownTime must be more than 0',
+    'eventInterval must be more than 0',
+    'lootInterval must be more than 0'
+  ]);
+  assert.deepStrictEqual(validateSettings({ respawnTime: 0, overtimeTime: 0 }), []);
+});
+
+test('player limits are checked against the settings they end up with', () => {
+  const error = 'minPlayers must not be more than maxPlayers';
+  const settings = { ...getGameSettings(), maxPlayers: 8 };
+
+  assert.deepStrictEqual(validateSettings({ minPlayers: 10 }, settings), [error]);
+  assert.deepStrictEqual(validateSettings({ minPlayers: 10, maxPlayers: 12 }, settings), []);
+  assert.deepStrictEqual(validateSettings({ maxPlayers: 1 }), [error]);
+});
+
+test('an invalid update changes nothing', () => {
+  const before = getGameSettings();
+
+  assert.strictEqual(updateGameSettings({ respawnTime: 8, maxPlayers: 0 }).length, 1);
+  assert.deepStrictEqual(getGameSettings(), before);
+
+  assert.deepStrictEqual(updateGameSettings({ respawnTime: 8 }), []);
+  assert.strictEqual(getGameSettings().respawnTime, 8);
+  updateGameSettings({ respawnTime: before.respawnTime });
+});
+
+test('the config file keeps its valid settings and drops the rest', () => {
+  const builtIn = getGameSettings();
+  const settings = loadConfigFile('game.json', JSON.stringify({ maxPlayers: 12, respawnTime: 'soon', friendlyFire: true }));
+
+  assert.strictEqual(settings.maxPlayers, 12);
+  assert.strictEqual(settings.friendlyFire, true);
+  assert.strictEqual(settings.respawnTime, builtIn.respawnTime);
+});
+
+test('player limits in the file are checked together', () => {
+  const builtIn = getGameSettings();
+
+  const raised = loadConfigFile('game.json', JSON.stringify({ minPlayers: 40, maxPlayers: 48 }));
+  assert.deepStrictEqual([raised.minPlayers, raised.maxPlayers], [40, 48]);
+
+  const contradicting = loadConfigFile('game.json', JSON.stringify({ minPlayers: 40, maxPlayers: 8 }));
+  assert.deepStrictEqual([contradicting.minPlayers, contradicting.maxPlayers], [builtIn.minPlayers, builtIn.maxPlayers]);
+});
+
+test('a YAML config file is read as YAML', () => {
+  const settings = loadConfigFile('game.yaml', [
+    '# Quick matches for testing',
+    'mode: ffa',
+    'gameLength: 300',
+    'friendlyFire: true'
+  ].join('\n'));
+
+  assert.strictEqual(settings.mode, 'ffa');
+  assert.strictEqual(settings.gameLength, 300);
+  assert.strictEqual(settings.friendlyFire, true);
+});
@@ -0,0 +1,49 @@
+// fen.test.js - Boards load from FEN and export back to the same FEN
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { shared, loadSharedModules } = require('../server/shared');
+
+test.before(() => loadSharedModules());
+
+/**
+ * Load a FEN into a new board
+ * @param {string} fen - Board in Forsyth-Edwards Notation
+ * @returns {ChessRules} - The board
+ */
+function loadBoard(fen) {
+  const rules = new shared.ChessRules();
+  rules.loadFEN(fen);
+  return rules;
+}
+
+test('the starting position exports unchanged', () => {
+  assert.strictEqual(loadBoard(shared.STARTING_FEN).toFEN(), shared.STARTING_FEN);
+});
+
+test('castling rights and the en passant square survive a round trip', () => {
+  const fen = 'r3k2r/8/8/3pP3/8/8/8/R3K3 w Qkq d6 0 1';
+  const rules = loadBoard(fen);
+
+  assert.strictEqual(rules.toFEN(), fen);
+
+  // The white pawn on e5 can take the pawn that just passed it
+  const captures = rules.getValidMoves({ x: 4, z: 3 }).filter(move => move.enPassant);
+  assert.deepStrictEqual(captures.map(move => ({ x: move.x, z: move.z })), [{ x: 3, z: 2 }]);
+});
+
+test('castling is only offered where the FEN grants the right', () => {
+  const rules = loadBoard('r3k2r/8/8/8/8/8/8/R3K2R w Kq - 0 1');
+
+  const whiteCastling = rules.getValidMoves({ x: 4, z: 7 }).filter(move => move.castling);
+  assert.deepStrictEqual(whiteCastling.map(move => move.x), [6]);
+
+  const blackCastling = rules.getValidMoves({ x: 4, z: 0 }).filter(move => move.castling);
+  assert.deepStrictEqual(blackCastling.map(move => move.x), [2]);
+});
+
+test('malformed FEN is rejected', () => {
+  assert.throws(() => shared.parseFEN('8/8/8/8 w - - 0 1'), /8 ranks/);
+  assert.throws(() => shared.parseFEN('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNX w - - 0 1'), /Invalid FEN rank/);
+  assert.throws(() => shared.parseFEN('rnbqkbnr/ppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w - - 0 1'), /8 squares/);
+});
@@ -0,0 +1,159 @@
+// items.test.js - Loot is picked up into the inventory and used on the server's terms
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSharedModules } = require('../server/shared');
+const { Match } = require('../server/match');
+const { INVENTORY_SLOTS } = require('../server/items');
+
+// Every message the match sends, by room
+let sent = [];
+const io = { to: room => ({ emit: (event, data) => sent.push({ room, event, data }) }) };
+
+/**
+ * Create a piece record for a test match
+ * @param {string} id - Player ID
+ * @param {string} type - Piece type
+ * @param {string} team - 'white' or 'black'
+ * @param {Object} position - Board position {x, z}
+ * @returns {Object} - Player data
+ */
+function createPlayer(id, type, team, position) {
+  return {
+    id, type, team, faction: team, position, hp: 3, hasMoved: false,
+    inventory: [], bonusMoves: 0, effects: [], lastMoveTime: 0, abilityReadyTime: 0
+  };
+}
+
+/**
+ * Create a socket that keeps what is sent to it
+ * @param {string} id - Socket ID
+ * @returns {Object} - Socket with an `emitted` list
+ */
+function createSocket(id) {
+  return { id, emitted: [], emit(event, data) { this.emitted.push({ event, data }); } };
+}
+
+/**
+ * Create a match in play with the given pieces
+ * @param {Array} players - Player data
+ * @returns {Match} - The match
+ */
+function createMatch(players) {
+  const match = new Match(io, 'test');
+  players.forEach(player => match.players.set(player.id, player));
+  match.phase = 'inProgress';
+  return match;
+}
+
+/**
+ * Put loot on a square, as a loot drop would
+ * @param {Match} match - The match
+ * @param {string} type - Loot type
+ * @param {Object} position - Board position {x, z}
+ * @returns {string} - Loot ID
+ */
+function dropLoot(match, type, position) {
+  const id = `loot_${match.simulation.lootItems.size + 1}`;
+  match.simulation.lootItems.set(id, { id, type, position, duration: 5 });
+  return id;
+}
+
+test.before(() => loadSharedModules());
+test.beforeEach(() => { sent = []; });
+
+test('loot fills the inventory and stays on the board once it is full', () => {
+  const white = createPlayer('white1', 'pawn', 'white', { x: 0, z: 6 });
+  const match = createMatch([white]);
+
+  for (let i = 0; i < INVENTORY_SLOTS; i++) {
+    match.simulation.collectLoot(white.id, dropLoot(match, 'doubleMove', white.position));
+  }
+  assert.strictEqual(white.inventory.length, INVENTORY_SLOTS);
+  assert.strictEqual(match.simulation.lootItems.size, 0);
+
+  const extra = dropLoot(match, 'vineTrap', white.position);
+  match.simulation.collectLoot(white.id, extra);
+  assert.strictEqual(white.inventory.length, INVENTORY_SLOTS);
+  assert.ok(match.simulation.lootItems.has(extra));
+});
+
+test('Double Move is used up from its slot and adds a move', () => {
+  const white = createPlayer('white1', 'pawn', 'white', { x: 0, z: 6 });
+  const socket = createSocket(white.id);
+  const match = createMatch([white]);
+  white.inventory.push({ type: 'doubleMove', duration: 5 });
+
+  match.handleUseItem(socket, { slot: 0 });
+  assert.strictEqual(white.bonusMoves, 1);
+  assert.deepStrictEqual(white.inventory, []);
+
+  match.handleUseItem(socket, { slot: 0 });
+  assert.strictEqual(socket.emitted[0].event, 'itemRejected');
+  assert.strictEqual(socket.emitted[0].data.reason, 'emptySlot');
+});
+
+test('Vine Trap only roots an enemy pawn', () => {
+  const white = createPlayer('white1', 'bishop', 'white', { x: 3, z: 4 });
+  const ally = createPlayer('white2', 'pawn', 'white', { x: 2, z: 4 });
+  const knight = createPlayer('black1', 'knight', 'black', { x: 3, z: 3 });
+  const pawn = createPlayer('black2', 'pawn', 'black', { x: 4, z: 3 });
+  const socket = createSocket(white.id);
+  const match = createMatch([white, ally, knight, pawn]);
+  white.inventory.push({ type: 'vineTrap', duration: 5 });
+
+  match.handleUseItem(socket, { slot: 0, target: ally.position });
+  match.handleUseItem(socket, { slot: 0, target: knight.position });
+  assert.deepStrictEqual(socket.emitted.map(message => message.data.reason), ['invalidTarget', 'invalidTarget']);
+  assert.strictEqual(white.inventory.length, 1);
+
+  match.handleUseItem(socket, { slot: 0, target: pawn.position });
+  assert.strictEqual(white.inventory.length, 0);
+  assert.strictEqual(match.getMoveWaitReason(pawn), 'rooted');
+  assert.strictEqual(match.getMoveWaitReason(knight), null);
+});
+
+test('Vine Trap only reaches pawns within its range', () => {
+  const white = createPlayer('white1', 'bishop', 'white', { x: 3, z: 7 });
+  const far = createPlayer('black1', 'pawn', 'black', { x: 3, z: 3 });
+  const near = createPlayer('black2', 'pawn', 'black', { x: 6, z: 4 });
+  const socket = createSocket(white.id);
+  const match = createMatch([white, far, near]);
+  white.inventory.push({ type: 'vineTrap', duration: 5 });
+
+  match.handleUseItem(socket, { slot: 0, target: far.position });
+  assert.deepStrictEqual(socket.emitted[0].data, { id: white.id, slot: 0, reason: 'outOfRange', range: 3 });
+
+  match.handleUseItem(socket, { slot: 0, target: near.position });
+  assert.strictEqual(match.getMoveWaitReason(near), 'rooted');
+});
+
+test('items wait for the match to be in play', () => {
+  const white = createPlayer('white1', 'pawn', 'white', { x: 0, z: 6 });
+  const socket = createSocket(white.id);
+  const match = createMatch([white]);
+  white.inventory.push({ type: 'doubleMove', duration: 5 });
+  match.phase = 'waiting';
+
+  match.handleUseItem(socket, { slot: 0 });
+  assert.strictEqual(socket.emitted[0].data.reason, 'phase');
+  assert.strictEqual(white.inventory.length, 1);
+});
+
+test('only a piece\'s own player is sent its inventory', () => {
+  const white = createPlayer('white1', 'pawn', 'white', { x: 0, z: 6 });
+  const black = createPlayer('black1', 'pawn', 'black', { x: 0, z: 1 });
+  const match = createMatch([white, black]);
+  white.inventory.push({ type: 'vineTrap', duration: 5 });
+
+  match.broadcastPlayers();
+
+  const update = sent.find(message => message.event === 'update');
+  assert.strictEqual(update.room, match.room);
+  assert.ok(!('inventory' in update.data[white.id]));
+  assert.ok(!('bonusMoves' in update.data[white.id]));
+
+  const privateState = sent.filter(message => message.event === 'privateState');
+  assert.deepStrictEqual(privateState.map(message => message.room), [white.id, black.id]);
+  assert.deepStrictEqual(privateState[0].data.inventory, [{ type: 'vineTrap', duration: 5 }]);
+});
@@ -0,0 +1,118 @@
+// match.test.js - Matches end when they are decided, and nothing happens after that
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSharedModules } = require('../server/shared');
+const { Match } = require('../server/match');
+
+// Every message the match sends to its room
+let broadcasts = [];
+
+// Matches created by the current test, stopped after it so no timers are left
+let matches = [];
+const io = { to: () => ({ emit: (event, data) => broadcasts.push({ event, data }) }) };
+
+/**
+ * Create a piece record for a test match
+ * @param {string} id - Player ID
+ * @param {string} type - Piece type
+ * @param {string} team - 'white' or 'black'
+ * @param {Object} position - Board position {x, z}
+ * @returns {Object} - Player data
+ */
+function createPlayer(id, type, team, position) {
+  return {
+    id, type, team, faction: team, position, hp: 3, hasMoved: false,
+    inventory: [], bonusMoves: 0, effects: [], lastMoveTime: 0, abilityReadyTime: 0
+  };
+}
+
+/**
+ * Create a match in play with the given pieces
+ * @param {string} mode - 'team' or 'ffa'
+ * @param {Array} players - Player data
+ * @returns {Match} - The match
+ */
+function createMatch(mode, players) {
+  const match = new Match(io, 'test', { settings: { mode } });
+  players.forEach(player => {
+    if (mode === 'ffa') player.faction = player.id;
+    match.players.set(player.id, player);
+    match.assignments.set(player.id, { id: player.id, type: player.type, team: player.team, position: player.position });
+  });
+  match.phase = 'inProgress';
+  matches.push(match);
+  return match;
+}
+
+/**
+ * Get the matchEnd message the match sent
+ * @returns {Object|undefined} - Message data {winner, reason, ...}
+ */
+function getMatchEnd() {
+  const message = broadcasts.find(broadcast => broadcast.event === 'matchEnd');
+  return message && message.data;
+}
+
+test.before(() => loadSharedModules());
+test.beforeEach(() => { broadcasts = []; });
+test.afterEach(() => {
+  matches.forEach(match => match.stop());
+  matches = [];
+});
+
+test('the last Free-for-All player left wins', () => {
+  const match = createMatch('ffa', [
+    createPlayer('p1', 'knight', 'white', { x: 1, z: 7 }),
+    createPlayer('p2', 'knight', 'black', { x: 1, z: 0 }),
+    createPlayer('p3', 'bishop', 'white', { x: 2, z: 7 })
+  ]);
+
+  match.removePlayer('p2');
+  assert.strictEqual(match.phase, 'inProgress');
+
+  match.removePlayer('p3');
+  assert.strictEqual(match.phase, 'results');
+  assert.strictEqual(getMatchEnd().winner, 'p1');
+  assert.strictEqual(getMatchEnd().reason, 'lastStanding');
+});
+
+test('a team wins once every opponent has left', () => {
+  const match = createMatch('team', [
+    createPlayer('w1', 'king', 'white', { x: 4, z: 7 }),
+    createPlayer('b1', 'king', 'black', { x: 4, z: 0 }),
+    createPlayer('b2', 'pawn', 'black', { x: 4, z: 1 })
+  ]);
+
+  match.removePlayer('b2');
+  assert.strictEqual(match.phase, 'inProgress');
+
+  match.removePlayer('b1');
+  assert.strictEqual(match.phase, 'results');
+  assert.deepStrictEqual([getMatchEnd().winner, getMatchEnd().reason], ['white', 'teamLeft']);
+});
+
+test('a piece held for a reconnect still counts', () => {
+  const match = createMatch('ffa', [
+    createPlayer('p1', 'knight', 'white', { x: 1, z: 7 }),
+    createPlayer('p2', 'knight', 'black', { x: 1, z: 0 })
+  ]);
+
+  assert.ok(match.handleDisconnect('p2'));
+  assert.strictEqual(match.phase, 'inProgress');
+});
+
+test('an ability stops once it has decided the match', () => {
+  const queen = createPlayer('w1', 'queen', 'white', { x: 4, z: 6 });
+  const king = createPlayer('b1', 'king', 'black', { x: 3, z: 3 });
+  const pawn = createPlayer('b2', 'pawn', 'black', { x: 5, z: 3 });
+  const match = createMatch('team', [queen, king, pawn]);
+
+  // Petal Storm reaches the king first, then the pawn
+  match.handleAbility({ id: queen.id, emit() {} }, { target: { x: 4, z: 3 } });
+
+  assert.deepStrictEqual([getMatchEnd().winner, getMatchEnd().reason], ['white', 'kingDefeated']);
+  assert.strictEqual(pawn.hp, 3);
+  assert.deepStrictEqual(match.eventLog.filter(entry => entry.type === 'ability').map(entry => entry.target), [king.id]);
+  assert.strictEqual(match.respawnTimers.size, 0);
+});
@@ -0,0 +1,160 @@
+// notation.test.js - Recorded moves come out as Standard Algebraic Notation
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSharedModules } = require('../server/shared');
+const { createNotation } = require('../server/notation');
+
+test.before(() => loadSharedModules());
+
+/**
+ * Get the board coordinates of a square name
+ * @param {string} name - Square name such as 'e4'
+ * @returns {Object} - {x, z} coordinates
+ */
+function square(name) {
+  return { x: name.charCodeAt(0) - 97, z: 8 - Number(name[1]) };
+}
+
+/**
+ * Create a piece for the start of a recording
+ * @param {string} id - Player ID
+ * @param {string} type - Piece type
+ * @param {string} team - 'white' or 'black'
+ * @param {string} name - Square the piece starts on
+ * @returns {Object} - Piece state
+ */
+function createPiece(id, type, team, name) {
+  return { id, type, team, faction: team, position: square(name), hp: 5 };
+}
+
+/**
+ * Record a move
+ * @param {string} playerId - The moving player
+ * @param {string} from - Square moved from
+ * @param {string} to - Square moved to
+ * @param {Object} [extra] - Other move data, such as castling or enPassant
+ * @returns {Object} - Move entry
+ */
+function createMove(playerId, from, to, extra = {}) {
+  return { type: 'move', time: 1000, playerId, from: square(from), to: square(to), ...extra };
+}
+
+/**
+ * Create the notation for a short recording
+ * @param {Array} pieces - Pieces on the board at the start
+ * @param {Array} events - Entries after the start
+ * @param {Object} [settings] - Match settings recorded in the header
+ * @returns {string} - PGN-style notation
+ */
+function record(pieces, events, settings = {}) {
+  return createNotation([
+    { type: 'header', time: 0, mode: 'team', ...settings },
+    { type: 'start', time: 0, players: pieces },
+    ...events
+  ]);
+}
+
+/**
+ * Create the notation for a short recording and pick out its moves
+ * @param {Array} pieces - Pieces on the board at the start
+ * @param {Array} events - Entries after the start
+ * @param {Object} [settings] - Match settings recorded in the header
+ * @returns {Array} - SAN of each move, in order
+ */
+function getMoves(pieces, events, settings) {
+  return record(pieces, events, settings).split('\n')
+    .filter(line => !line.startsWith('['))
+    .join(' ')
+    .replace(/\{[^}]*\}/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !/^\d+\.(\.\.)?$/.test(token) && token !== '*');
+}
+
+// Kings for both sides, which every position needs
+const kings = [
+  createPiece('wk', 'king', 'white', 'e1'),
+  createPiece('bk', 'king', 'black', 'e8')
+];
+
+test('moves are numbered in the order they were made', () => {
+  const notation = createNotation([
+    { type: 'header', time: 0, mode: 'team' },
+    { type: 'start', time: 0, players: [...kings, createPiece('wp', 'pawn', 'white', 'e2'), createPiece('bp', 'pawn', 'black', 'e7')] },
+    createMove('wp', 'e2', 'e4'),
+    createMove('bp', 'e7', 'e5')
+  ]);
+
+  assert.match(notation, /1\. e4 \{\[%time 0:01\]\} 2\.\.\. e5 \{\[%time 0:01\]\} \*/);
+});
+
+test('a rival piece that could reach the same square is told apart', () => {
+  const knights = [createPiece('nb', 'knight', 'white', 'b1'), createPiece('nf', 'knight', 'white', 'f3')];
+  assert.deepStrictEqual(getMoves([...kings, ...knights], [createMove('nb', 'b1', 'd2')]), ['Nbd2']);
+
+  const rooks = [createPiece('r1', 'rook', 'white', 'a1'), createPiece('r5', 'rook', 'white', 'a5')];
+  assert.deepStrictEqual(getMoves([...kings, ...rooks], [createMove('r1', 'a1', 'a3')]), ['R1a3']);
+});
+
+test('castling, en passant and promotion are written as in chess', () => {
+  const rook = createPiece('wr', 'rook', 'white', 'h1');
+  const castling = { rookId: 'wr', rookFrom: square('h1'), rookTo: square('f1') };
+  assert.deepStrictEqual(getMoves([...kings, rook], [createMove('wk', 'e1', 'g1', { castling })]), ['O-O']);
+
+  const pawns = [createPiece('wp', 'pawn', 'white', 'e5'), createPiece('bp', 'pawn', 'black', 'd7')];
+  const enPassant = { capturedId: 'bp', capturedPosition: square('d5') };
+  assert.deepStrictEqual(getMoves([...kings, ...pawns], [
+    createMove('bp', 'd7', 'd5'),
+    createMove('wp', 'e5', 'd6', { enPassant })
+  ]), ['d5', 'exd6']);
+
+  // The new queen checks the king along the back rank
+  assert.deepStrictEqual(getMoves([...kings, createPiece('wp', 'pawn', 'white', 'a7')], [
+    createMove('wp', 'a7', 'a8'),
+    { type: 'promotion', time: 1000, playerId: 'wp', pieceType: 'queen', hp: 9 }
+  ]), ['a8=Q+']);
+});
+
+test('checkmate is marked', () => {
+  const pieces = [
+    createPiece('wk', 'king', 'white', 'e1'),
+    createPiece('bk', 'king', 'black', 'h8'),
+    createPiece('g7', 'pawn', 'black', 'g7'),
+    createPiece('h7', 'pawn', 'black', 'h7'),
+    createPiece('wr', 'rook', 'white', 'a1')
+  ];
+
+  assert.deepStrictEqual(getMoves(pieces, [createMove('wr', 'a1', 'a8')]), ['Ra8#']);
+});
+
+test('only a move that takes a piece off the board is a capture', () => {
+  const pieces = [...kings, createPiece('wn', 'knight', 'white', 'f3'), createPiece('bp', 'pawn', 'black', 'd4')];
+
+  // Without classic capture the pieces share the square
+  assert.deepStrictEqual(getMoves(pieces, [createMove('wn', 'f3', 'd4')]), ['Nd4']);
+
+  const capture = createMove('wn', 'f3', 'd4', { captured: 'bp' });
+  assert.deepStrictEqual(getMoves(pieces, [capture], { classicCapture: true }), ['Nxd4']);
+
+  // A capture that only deals damage is noted after the move
+  const notation = record(pieces, [
+    createMove('wn', 'f3', 'd4'),
+    { type: 'damage', time: 1000, attacker: 'wn', target: 'bp', damage: 2, hp: 3 }
+  ], { classicCapture: true, captureDamage: 2 });
+  assert.match(notation.replace(/\n/g, ' '), / Nd4 .*white knight on d4 hits black pawn on d4 for 2 \(3 HP left\)/);
+});
+
+test('rival moves are judged under the match\'s capture rule', () => {
+  // The bishop on c3 is pinned by the bishop on b4, and can only leave the
+  // pin by taking it off the board
+  const pieces = [
+    ...kings,
+    createPiece('ba', 'bishop', 'white', 'a3'),
+    createPiece('bc', 'bishop', 'white', 'c3'),
+    createPiece('bb', 'bishop', 'black', 'b4')
+  ];
+
+  const capture = createMove('ba', 'a3', 'b4', { captured: 'bb' });
+  assert.deepStrictEqual(getMoves(pieces, [capture], { classicCapture: true }), ['Baxb4']);
+  assert.deepStrictEqual(getMoves(pieces, [createMove('ba', 'a3', 'b4')]), ['Bb4']);
+});
@@ -0,0 +1,145 @@
+// ratings.test.js - Elo updates for Team Mode and Free-for-All results
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  RatingTracker,
+  DEFAULT_RATING,
+  getExpectedScore,
+  getTeamResults,
+  getPlacementResults
+} = require('../server/ratings');
+
+/**
+ * Create a profile store holding a profile for each player
+ * @param {Array} ids - Profile IDs
+ * @returns {Object} - Store with the parts of ProfileStore the tracker uses
+ */
+function createProfiles(ids) {
+  const profiles = new Map(ids.map(id => [id, { id, nickname: id }]));
+  return { profiles, get: id => profiles.get(id), scheduleSave() {} };
+}
+
+/**
+ * Create a match for the tracker to follow
+ * @param {string} mode - 'team' or 'ffa'
+ * @param {Array} players - Player data {id, type, team, profileId}
+ * @returns {Object} - Match with the parts the tracker uses
+ */
+function createMatch(mode, players) {
+  return {
+    id: 'test',
+    phase: 'inProgress',
+    players: new Map(players.map(player => [player.id, player])),
+    isFreeForAll: () => mode === 'ffa',
+    isActive() { return this.phase === 'inProgress'; }
+  };
+}
+
+/**
+ * Get a profile's overall rating
+ * @param {Object} profiles - Profile store
+ * @param {string} id - Profile ID
+ * @param {string} mode - Rating mode
+ * @returns {Object} - Rating record {rating, games}
+ */
+function getRating(profiles, id, mode) {
+  return profiles.get(id).ratings[mode].all;
+}
+
+test('expected scores follow the Elo curve', () => {
+  assert.strictEqual(getExpectedScore(1500, 1500), 0.5);
+  assert.ok(Math.abs(getExpectedScore(1900, 1500) - 10 / 11) < 1e-9);
+  assert.ok(Math.abs(getExpectedScore(1500, 1900) + getExpectedScore(1900, 1500) - 1) < 1e-9);
+});
+
+test('teams are scored by their average rating', () => {
+  assert.deepStrictEqual(getTeamResults({ white: [1500], black: [1500] }, 'white'), { white: 0.5, black: -0.5 });
+  assert.deepStrictEqual(getTeamResults({ white: [1400, 1600], black: [1500] }, null), { white: 0, black: 0 });
+});
+
+test('placements score each player against every other', () => {
+  const results = getPlacementResults([
+    { rating: 1500, place: 1 },
+    { rating: 1500, place: 2 },
+    { rating: 1500, place: 3 }
+  ]);
+  assert.deepStrictEqual(results, [0.5, 0, -0.5]);
+});
+
+test('a Team Mode win moves both teams and the piece type ratings', () => {
+  const profiles = createProfiles(['a', 'b']);
+  const tracker = new RatingTracker(profiles);
+  const match = createMatch('team', [
+    { id: 'p1', type: 'queen', team: 'white', profileId: 'a' },
+    { id: 'p2', type: 'pawn', team: 'black', profileId: 'b' }
+  ]);
+
+  tracker.recordMatchEvent(match, { type: 'matchStart' });
+  tracker.recordMatchEvent(match, { type: 'matchEnd', winner: 'white' });
+
+  // New players move at the provisional K-factor of 40
+  assert.deepStrictEqual(getRating(profiles, 'a', 'team'), { rating: DEFAULT_RATING + 20, games: 1 });
+  assert.deepStrictEqual(getRating(profiles, 'b', 'team'), { rating: DEFAULT_RATING - 20, games: 1 });
+  assert.strictEqual(profiles.get('a').ratings.team.queen.rating, DEFAULT_RATING + 20);
+  assert.strictEqual(profiles.get('b').ratings.team.pawn.rating, DEFAULT_RATING - 20);
+});
+
+test('Free-for-All players are placed by how long they lasted', () => {
+  const profiles = createProfiles(['a', 'b', 'c']);
+  const tracker = new RatingTracker(profiles);
+  const match = createMatch('ffa', [
+    { id: 'p1', type: 'knight', team: 'white', profileId: 'a' },
+    { id: 'p2', type: 'knight', team: 'black', profileId: 'b' },
+    { id: 'p3', type: 'knight', team: 'white', profileId: 'c' }
+  ]);
+
+  tracker.recordMatchEvent(match, { type: 'matchStart' });
+  tracker.recordMatchEvent(match, { type: 'defeat', defeatedId: 'p3' });
+  tracker.recordMatchEvent(match, { type: 'defeat', defeatedId: 'p2' });
+  tracker.recordMatchEvent(match, { type: 'matchEnd', winner: 'p1' });
+
+  assert.strictEqual(getRating(profiles, 'a', 'ffa').rating, DEFAULT_RATING + 20);
+  assert.strictEqual(getRating(profiles, 'b', 'ffa').rating, DEFAULT_RATING);
+  assert.strictEqual(getRating(profiles, 'c', 'ffa').rating, DEFAULT_RATING - 20);
+
+  assert.deepStrictEqual(tracker.getLeaderboard('ffa', 'all', 2).map(entry => entry.id), ['a', 'b']);
+});
+
+test('leaving a match in play counts as a loss', () => {
+  const profiles = createProfiles(['a', 'b', 'c']);
+  const tracker = new RatingTracker(profiles);
+  const match = createMatch('team', [
+    { id: 'p1', type: 'rook', team: 'white', profileId: 'a' },
+    { id: 'p2', type: 'rook', team: 'black', profileId: 'b' },
+    { id: 'p3', type: 'rook', team: 'black', profileId: 'c' }
+  ]);
+
+  tracker.recordMatchEvent(match, { type: 'matchStart' });
+  tracker.recordMatchEvent(match, { type: 'leave', playerId: 'p2' });
+  match.players.delete('p2');
+
+  assert.deepStrictEqual(getRating(profiles, 'b', 'team'), { rating: DEFAULT_RATING - 20, games: 1 });
+  assert.ok(!profiles.get('a').ratings);
+
+  // Leaving once the match is over costs nothing
+  match.phase = 'results';
+  tracker.recordMatchEvent(match, { type: 'leave', playerId: 'p3' });
+  assert.ok(!profiles.get('c').ratings);
+});
+
+test('a Free-for-All leaver is placed below everyone still in', () => {
+  const profiles = createProfiles(['a', 'b', 'c']);
+  const tracker = new RatingTracker(profiles);
+  const match = createMatch('ffa', [
+    { id: 'p1', type: 'pawn', team: 'white', profileId: 'a' },
+    { id: 'p2', type: 'pawn', team: 'black', profileId: 'b' },
+    { id: 'p3', type: 'pawn', team: 'white', profileId: 'c' }
+  ]);
+
+  tracker.recordMatchEvent(match, { type: 'matchStart' });
+  tracker.recordMatchEvent(match, { type: 'leave', playerId: 'p3' });
+
+  assert.deepStrictEqual(getRating(profiles, 'c', 'ffa'), { rating: DEFAULT_RATING - 20, games: 1 });
+  assert.ok(!profiles.get('a').ratings);
+});
@@ -0,0 +1,48 @@
+// simulation.test.js - Status effects keep counting down after the match clock runs out
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSharedModules } = require('../server/shared');
+const { Match } = require('../server/match');
+const { applyEffect, hasEffect } = require('../server/effects');
+
+// Broadcasts go nowhere
+const io = { to: () => ({ emit() {} }) };
+
+/**
+ * Create a piece record for a test match
+ * @param {string} id - Player ID
+ * @param {string} team - 'white' or 'black'
+ * @param {Object} position - Board position {x, z}
+ * @returns {Object} - Player data
+ */
+function createPlayer(id, team, position) {
+  return {
+    id, type: 'pawn', team, faction: team, position, hp: 3, hasMoved: false,
+    inventory: [], bonusMoves: 0, effects: [], lastMoveTime: 0, abilityReadyTime: 0
+  };
+}
+
+test.before(() => loadSharedModules());
+
+test('effects expire during overtime', () => {
+  const match = new Match(io, 'test', { settings: { gameLength: 10, overtimeEnabled: true, overtimeTime: 60 } });
+  const white = createPlayer('white1', 'white', { x: 0, z: 6 });
+  const black = createPlayer('black1', 'black', { x: 0, z: 1 });
+  match.players.set(white.id, white);
+  match.players.set(black.id, black);
+  match.phase = 'inProgress';
+
+  // The clock runs out on a tie, so the match goes to overtime
+  match.simulation.update(10);
+  assert.strictEqual(match.phase, 'overtime');
+
+  // A Vine Trap used in overtime lets go on time
+  applyEffect(black, 'rooted', { source: white.id, duration: 0.5 });
+  match.simulation.update(0.25);
+  assert.ok(hasEffect(black, 'rooted'));
+  match.simulation.update(0.5);
+  assert.ok(!hasEffect(black, 'rooted'));
+
+  match.clearTimers();
+});